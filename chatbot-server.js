@@ -1,7 +1,29 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import OpenAI from "openai";
+import path from "node:path";
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { saveSnapshot, loadSnapshot } from "./lib/snapshot.js";
+import { chunkDocument } from "./lib/chunker.js";
+import { extractPage } from "./lib/extract.js";
+import { stripBoilerplate, findNearDuplicates } from "./lib/dedup.js";
+import { createCrawler, canonicalUrl } from "./lib/crawler.js";
+import { createSessionStore } from "./lib/sessions.js";
+import { createLeadStore, validateLead, hasPersonalData, personalData } from "./lib/leads.js";
+import { QUOTE_TOOLS, validateQuoteFields, missingFields, buildBrief, briefSummary, briefsToCsv } from "./lib/quote.js";
+import { BOOKING_TOOLS, createBookingService, validTimeZone } from "./lib/booking.js";
+import { createWebhooks, parseEndpoints } from "./lib/webhooks.js";
+import { createChatProvider, createEmbedProvider, providerSettings } from "./lib/providers.js";
+import { resilientProvider, codedError } from "./lib/resilience.js";
+import { createSparseIndex, createRetriever, retrievalSettings } from "./lib/retrieval.js";
+import { analyze } from "./lib/analyzers.js";
+import { createVectorIndex } from "./lib/vector-index.js";
+import { createEmbeddingCache, createAnswerCache } from "./lib/cache.js";
+import { estimateTokens } from "./lib/chunker.js";
+import { systemPrompt } from "./lib/prompt.js";
+import { createAdminAuth, parseTokens, createOriginPolicy, requireAllowedOrigin } from "./lib/auth.js";
+import { createRateLimiter, createBudget, meteredProvider, rateLimit, bodyCap, detectInjection, stripRoleMarkup, sanitizeContent, INJECTION_THRESHOLD } from "./lib/guard.js";
 
 /**
  * SODERBOT — iPhone zoom & overlap fixes
@@ -9,169 +31,839 @@ import OpenAI from "openai";
  * - Hides launcher while panel is open so it never covers the chat
  * - Uses VisualViewport to raise panel above keyboard reliably
  * - Same crawler + hybrid retrieval, Render-ready
+ * - This file wires the Express app: config, index lifecycle (snapshot, crawl, double-buffered reindex), chat (JSON + SSE),
+ *   handoff / quote / booking, admin routes and the widget; each module in lib/ describes its own part
+ * - scripts/: eval.js (retrieval evaluation), kb.js (inspect the index), bench-vectors.js, admin-token.js
  */
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_KEY || OPENAI_KEY.startsWith("sk-your_")) {
-  console.error("❌ Missing OPENAI_API_KEY in environment.");
-  process.exit(1);
+// Chat/embedding providers and their env vars: providerSettings() in lib/providers.js.
+const { chat:LLM, embed:EMBED } = providerSettings();
+const UPSTREAM = {
+  retries:Number(process.env.LLM_RETRIES ?? 2),
+  failures:Number(process.env.BREAKER_FAILURES) || 5,             // consecutive failures that open the circuit
+  cooldownMs:(Number(process.env.BREAKER_COOLDOWN_S) || 30)*1000
+};
+// Daily chat-model allowance (UTC day, estimated tokens); 0 turns a limit off. Prices are USD per million tokens.
+const BUDGET = createBudget({
+  dailyTokens:Number(process.env.DAILY_TOKEN_BUDGET ?? 3e6),
+  dailySpend:Number(process.env.DAILY_SPEND_LIMIT_USD ?? 0),
+  priceIn:Number(process.env.CHAT_PRICE_IN ?? 0.15),
+  priceOut:Number(process.env.CHAT_PRICE_OUT ?? 0.6)
+});
+let llm, embedder;
+try{
+  llm=meteredProvider(resilientProvider(createChatProvider(LLM),{ name:"chat", timeoutMs:Number(process.env.LLM_TIMEOUT_MS) || 30e3, ...UPSTREAM }),BUDGET);
+  embedder=resilientProvider(createEmbedProvider(EMBED),{ name:"embeddings", timeoutMs:Number(process.env.EMBED_TIMEOUT_MS) || 20e3, ...UPSTREAM });
 }
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
+catch(e){ console.error("❌ LLM config:", e.message); process.exit(1); }
+if(LLM.provider==="mock") console.log("⚠️ LLM_PROVIDER=mock: answers are offline templates, not for production");
+const EMBEDDINGS = createEmbeddingCache(embedder,{ max:Number(process.env.EMBED_CACHE_MAX) || 10000 });
+// First questions of a conversation whose embedding is within ANSWER_CACHE_SIM (cosine) of a cached one reuse its answer; ANSWER_CACHE_MAX=0 disables.
+const ANSWERS = createAnswerCache({ max:Number(process.env.ANSWER_CACHE_MAX ?? 500), threshold:Number(process.env.ANSWER_CACHE_SIM) || 0.95, ttlMs:(Number(process.env.ANSWER_CACHE_TTL_H) || 6)*36e5, siteDetails });
 
-const SITE = "https://www.sodermanaudiovisual.com";
-const MAX_PAGES = 120;
-const CHUNK_SIZE = 800;
+const SITE = process.env.SITE_URL || "https://www.sodermanaudiovisual.com";
+const SEED_PATHS = ["/","/home","/services","/about-us","/contact","/references","/get-a-quote","/consultation","/fi","/sv"];
+const USER_AGENT = "Mozilla/5.0 (Macintosh; Intel Mac OS X) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127 Safari/537.36 SODERBOT/1.0";
+const MAX_PAGES = 360;                // whole crawl, all locales together (not a per-locale quota)
+const MAX_LINK_DEPTH = 3;             // hops from a sitemap/seed page when following links
+const CRAWL_CONCURRENCY = Number(process.env.CRAWL_CONCURRENCY) || 4;
+const CRAWL_DELAY_MS = Number(process.env.CRAWL_DELAY_MS ?? 250);   // per host; robots.txt Crawl-delay wins when larger
+const LANGS = ["en","fi","sv"];
+const EXTRACTOR_VERSION = 4;          // bump when page records change shape; cached pages are then re-fetched
+const CHUNKING = { maxTokens:Number(process.env.CHUNK_TOKENS)||220, overlapTokens:Number(process.env.CHUNK_OVERLAP ?? 40) };
+const CHUNKING_SIG = CHUNKING.maxTokens+"/"+CHUNKING.overlapTokens;
+const BOILERPLATE = { minShare:0.3, minPages:3 };   // a block on ≥30% of a locale's pages (and ≥3) is boilerplate
+const NEAR_DUP_THRESHOLD = 0.9;                      // estimated Jaccard over 4-word shingles
 const MIN_DOC_CHARS = 180;
-const MAX_CONTEXT = 9000;
-const TOP_K = 12;
+const RETRIEVAL = retrievalSettings();   // TOP_K, MAX_CONTEXT, BM25_*, RRF_K, FUSION_*, MMR_LAMBDA, MAX_CHUNKS_PER_URL, VECTOR_QUANT, ANN_* (lib/retrieval.js)
 const BATCH_EMBED = 96;
+const DATA_DIR = process.env.DATA_DIR || "./data";   // point at a Render disk to survive restarts
+const SNAPSHOT_FILE = path.join(DATA_DIR, "kb-snapshot.json");
+const SNAPSHOT_MAX_AGE_H = Number(process.env.SNAPSHOT_MAX_AGE_H) || 24;
+const REINDEX_INTERVAL_H = Number(process.env.REINDEX_INTERVAL_H ?? 24);   // 0 disables the scheduler
+const REINDEX_RETRY = { firstMs:5*60e3, maxMs:60*60e3 };   // after a failed build: 5 min, doubling per consecutive failure, at most 1 h
+const SESSION_TTL_MIN = Number(process.env.SESSION_TTL_MIN) || 60;
+const HISTORY_TOKENS = Number(process.env.HISTORY_TOKENS) || 1500;   // summary + verbatim turns sent with each question
+const KEEP_TURNS = 6;                 // most recent messages never summarized (3 exchanges)
+const QUERY_TURNS = 2;                // previous visitor messages folded into the retrieval query
+const LEADS_FILE = path.join(DATA_DIR, "leads.jsonl");
+// Admin API (/admin/*, /reindex, /kb-status): ADMIN_TOKENS='[{"name":"ops","hash":"sha256:…","scopes":["status","reindex"]}]' (or ADMIN_TOKENS_FILE),
+// hashes from scripts/admin-token.js; scopes: status, reindex, debug, leads, bookings, webhooks, "*". A plain ADMIN_TOKEN has every scope.
+// CORS_ORIGINS: browser origins allowed to call the chat API, comma-separated ("https://*.example.com" ok, "*" = any); default SITE_URL's origin ± www.
+const HANDOFF_MARK = /\s*\[\[handoff\]\]/gi;     // the model appends this when it offers a human handoff
+const MAX_TOOL_ROUNDS = 3;            // model ↔ tool round trips per visitor message
+const BOOKING = {
+  source:process.env.BOOKING_ICS || "",                 // team calendar (busy time): file path or https URL; unset disables booking
+  file:path.join(DATA_DIR, "bookings.ics"),            // bookings are written here (subscribe to or import it)
+  tz:process.env.BOOKING_TZ || "Europe/Helsinki",
+  hours:process.env.BOOKING_HOURS || "09:00-16:00",
+  days:process.env.BOOKING_DAYS || "1-5",              // ISO weekdays, Mon=1
+  slotMinutes:Number(process.env.BOOKING_SLOT_MIN) || 30,
+  bufferMinutes:Number(process.env.BOOKING_BUFFER_MIN ?? 15),
+  noticeHours:Number(process.env.BOOKING_NOTICE_H ?? 24),
+  horizonDays:Number(process.env.BOOKING_HORIZON_D) || 14
+};
+// WEBHOOKS='[{"url":"https://hooks.slack.com/services/…","events":["lead.created"]},{"url":"https://crm…","secret":"…"}]' (or WEBHOOKS_FILE)
+const WEBHOOK_QUEUE_FILE = path.join(DATA_DIR, "webhook-queue.json");
+const WEBHOOK_LOG_FILE = path.join(DATA_DIR, "webhook-deliveries.jsonl");
+const USAGE_FILE = path.join(DATA_DIR, "usage.json");       // today's model usage, so a restart doesn't reset the budget
+// Token buckets for the public POST routes (0 per minute disables one); a session's bucket applies once it has a session id.
+// /handoff and /booking also draw from the stricter `form` bucket: each one writes to disk and fires webhooks.
+const LIMITS = {
+  ip:{ perMinute:Number(process.env.RATE_IP_PER_MIN ?? 20), burst:Number(process.env.RATE_IP_BURST) || 10 },
+  session:{ perMinute:Number(process.env.RATE_SESSION_PER_MIN ?? 8), burst:Number(process.env.RATE_SESSION_BURST) || 4 },
+  form:{ perMinute:Number(process.env.RATE_FORM_PER_MIN ?? 2), burst:Number(process.env.RATE_FORM_BURST) || 3 },
+  body:process.env.BODY_LIMIT || "32kb",
+  messageChars:Number(process.env.MAX_MESSAGE_CHARS) || 2000,
+  formChars:Number(process.env.MAX_FORM_CHARS) || 8000        // a whole /handoff or /booking body, as JSON
+};
+const INJECTION_BLOCK = Number(process.env.INJECTION_THRESHOLD) || INJECTION_THRESHOLD;   // visitor messages scoring this high are not sent to the model
+// Which X-Forwarded-For hops to believe for req.ip (and so the rate limits): off by default, since without a proxy in front
+// any client could name its own address. Behind Render's proxy set TRUST_PROXY=1 (hop count, "true", "loopback" or subnets);
+// render.yaml does. Left off behind a proxy, every visitor shares one IP bucket — the first forwarded request logs a warning.
+const TRUST_PROXY = process.env.TRUST_PROXY || "false";
+
+const ADMIN = createAdminAuth({ tokens:adminTokens(), legacyToken:process.env.ADMIN_TOKEN || "" });
+const requireAdmin = ADMIN.requireScope;
+const ORIGINS = createOriginPolicy(corsOrigins());
+if(!ADMIN.enabled) console.log("ℹ️ No admin tokens: /admin/*, /reindex and /kb-status are disabled (set ADMIN_TOKENS or ADMIN_TOKEN)");
 
-app.use(cors());
-app.use(bodyParser.json());
+function adminTokens(){
+  let list=[];
+  try{ list=JSON.parse(process.env.ADMIN_TOKENS || (process.env.ADMIN_TOKENS_FILE? readFileSync(process.env.ADMIN_TOKENS_FILE,"utf8") : "[]")); }
+  catch(e){ console.log("⚠️ Admin token config unreadable:", e?.message||String(e)); }
+  const { tokens, errors }=parseTokens(list);
+  for(const err of errors) console.log("⚠️", err);
+  return tokens;
+}
+function corsOrigins(){
+  if(process.env.CORS_ORIGINS) return process.env.CORS_ORIGINS.split(",").map(s=>s.trim()).filter(Boolean);
+  const u=new URL(SITE);
+  if(!/\.[a-z]+$/i.test(u.hostname)) return [u.origin];   // localhost or an IP: no www twin
+  const twin=u.hostname.startsWith("www.")? u.hostname.slice(4) : "www."+u.hostname;
+  return [u.origin, u.protocol+"//"+twin+(u.port?":"+u.port:"")];
+}
+for(const o of ORIGINS.invalid) console.log("⚠️ CORS_ORIGINS: not an origin:", o);
+
+app.use(cors({ origin:(origin,cb)=>cb(null,!origin || ORIGINS.allowed(origin)), maxAge:600 }));
+app.use(requireAllowedOrigin(ORIGINS));
+app.set("trust proxy",/^\d+$/.test(TRUST_PROXY)? Number(TRUST_PROXY) : TRUST_PROXY==="true"? true : TRUST_PROXY==="false"? false : TRUST_PROXY);
+let forwardedWarned=false;
+app.use((req,_res,next)=>{
+  if(!forwardedWarned && !app.get("trust proxy") && req.get("x-forwarded-for")){
+    forwardedWarned=true;
+    console.log("⚠️⚠️ X-Forwarded-For received but TRUST_PROXY is off: all visitors share the proxy's address and one rate-limit bucket. Set TRUST_PROXY=1 behind Render's proxy.");
+  }
+  next();
+});
+app.use(bodyParser.json({ limit:LIMITS.body }));
+app.use((err,_req,res,next)=>{
+  if(err?.type==="entity.too.large") return res.status(413).json({ ok:false, code:"payload_too_large", msg:"Request body too large (max "+LIMITS.body+")" });
+  if(err?.type==="entity.parse.failed") return res.status(400).json({ ok:false, code:"bad_request", msg:"Body is not valid JSON" });
+  next(err);
+});
 
 // ----- KB & sparse index -----
-let KB = [];                   // { id, url, lang:'en', chunk, vec? }
-let VOCAB_IDF = new Map();     // term -> idf
-let CHUNK_TF = new Map();      // id -> Map(term -> tf)
-
-function chunkText(s, n=CHUNK_SIZE){ const out=[]; for(let i=0;i<s.length;i+=n) out.push(s.slice(i,i+n)); return out; }
-function stripHtml(html){
-  if(!html) return "";
-  return html
-    .replace(/<script[\s\S]*?<\/script>/gi," ")
-    .replace(/<style[\s\S]*?<\/style>/gi," ")
-    .replace(/<!--[\s\S]*?-->/g," ")
-    .replace(/<\/(p|div|section|article|li|h1|h2|h3|br)>/gi,"\n")
-    .replace(/<[^>]+>/g," ")
-    .replace(/\s+/g," ")
-    .trim();
-}
-function tokenize(s){ return String(s).toLowerCase().split(/[^a-z0-9äöåæø]+/i).filter(w=>w && w.length>1); }
-function unique(a){ return Array.from(new Set(a)); }
-function cosine(a,b){ let dot=0,na=0,nb=0; for(let i=0;i<a.length;i++){dot+=a[i]*b[i];na+=a[i]*a[i];nb+=b[i]*b[i];} if(!na||!nb) return 0; return dot/(Math.sqrt(na)*Math.sqrt(nb)); }
-function escWB(t){ return t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"); }
+// INDEX is only ever replaced as a whole; readers grab one reference, so a reindex never shows them a half-built KB.
+let INDEX = emptyIndex();
+const BUILD = { running:null, phase:"idle", done:0, total:0, startedAt:null, lastSuccess:null, lastSummary:null, lastError:null, failures:0, nextRunAt:null };
 
-// ----- URL discovery -----
-async function getSitemapUrls(){
-  const set=new Set();
-  try{
-    const r=await fetch(SITE+"/sitemap.xml",{headers:{"User-Agent":"Mozilla/5.0 Chrome/127 Safari/537.36"}});
-    if(r.ok){
-      const xml=await r.text(); const re=/<loc>([^<]+)<\/loc>/gi; let m;
-      while((m=re.exec(xml))){
-        const u=m[1].trim().replace(/\/+$/,"");
-        const path=new URL(u).pathname.replace(/^\/+/,"");
-        if(path==="fi"||path.startsWith("fi/")||path==="sv"||path.startsWith("sv/")) continue; // EN only
-        if(u.startsWith(SITE)) set.add(u);
-      }
-    }
-  }catch{}
-  ["/","/home","/services","/about-us","/contact","/references","/get-a-quote","/consultation"].forEach(p=>{
-    try{ set.add(new URL(p,SITE).toString().replace(/\/+$/,"")); }catch{}
-  });
-  return Array.from(set).slice(0,MAX_PAGES);
+function emptyIndex(){
+  return {
+    version:0,
+    kb:[],                     // { id, url, lang, title, headings[], chunk, hash, vec? }
+    sparse:createSparseIndex([],{ analyze }),   // BM25F over kb (lib/retrieval.js); rebuilt, never persisted
+    vectors:createVectorIndex([]),              // normalized kb vectors (lib/vector-index.js); rebuilt from kb[].vec
+    pages:new Map(),           // url -> { url, lang, alternates:{lang->url}, lastmod, etag, lastModified, hash, doc (see lib/extract.js), fetchedAt }
+    crawlStartedAt:null, crawlFinishedAt:null, summary:null, extractorVersion:EXTRACTOR_VERSION
+  };
+}
+// Contact details the site itself publishes (our phone, email), per index version: they may appear in shared cached answers.
+let SITE_DETAILS = { index:null, set:new Set() };
+function siteDetails(){
+  if(SITE_DETAILS.index!==INDEX){ const set=new Set(); for(const d of INDEX.kb) for(const p of personalData(d.chunk)) set.add(p); SITE_DETAILS={ index:INDEX, set }; }
+  return SITE_DETAILS.set;
 }
 
+function docChars(doc){ return (doc.title||"").length+(doc.description||"").length+doc.blocks.reduce((n,b)=>n+b.text.length,0); }
+function escWB(t){ return t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"); }
+function sha1(s){ return createHash("sha1").update(s).digest("hex"); }
+function pathLang(url){ const seg=new URL(url).pathname.split("/")[1]; return LANGS.includes(seg)?seg:null; }
+// hreflang self-reference wins, then the /fi/ or /sv/ path prefix, then <html lang>.
+function detectLang(url, alternates={}, htmlLang=""){
+  for(const [l,u] of Object.entries(alternates)) if(u===url) return l;
+  return pathLang(url) || (LANGS.includes(htmlLang)?htmlLang:"en");
+}
+// Keeps hreflang alternates that point at one of our locales on our own site.
+function siteAlternates(alt){
+  const out={}; for(const [l,u] of Object.entries(alt||{})) if(LANGS.includes(l) && u.startsWith(SITE)) out[l]=u;
+  return out;
+}
 // ----- Fetch page -----
-async function fetchPageStrong(url){
+// Conditional when we have validators from the last crawl. Returns { status, finalUrl, doc?, htmlLang?, alternates?, etag?, lastModified? }
+// or { status, reason } when there is nothing to index; status 304 means "use what you have", 0 means a network error.
+async function fetchPageStrong(crawler, url, prev){
   try{
-    const r=await fetch(url,{headers:{
-      "User-Agent":"Mozilla/5.0 (Macintosh; Intel Mac OS X) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127 Safari/537.36",
-      "Accept":"text/html,application/xhtml+xml"
-    }});
-    if(!r.ok) return null;
-    const html=await r.text();
-    const title=(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]||"").trim();
-    const meta=(html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([^"']+)["']/i)?.[1]||"").trim();
-    let body=""; const main=html.match(/<main[\s\S]*?<\/main>/i); if(main) body+=" "+stripHtml(main[0]);
-    const art=html.match(/<article[\s\S]*?<\/article>/i); if(art) body+=" "+stripHtml(art[0]);
-    if(body.trim().length<120) body=stripHtml(html);
-    const doc=[ title?("TITLE: "+title):"", meta?("DESCRIPTION: "+meta):"", body?("BODY:\n"+body):"" ].filter(Boolean).join("\n\n");
-    return (doc && doc.length>=MIN_DOC_CHARS)? doc : null;
-  }catch{ return null; }
+    const headers={ "Accept":"text/html,application/xhtml+xml" };
+    if(prev?.etag) headers["If-None-Match"]=prev.etag;
+    if(prev?.lastModified) headers["If-Modified-Since"]=prev.lastModified;
+    const r=await crawler.fetch(url,{headers});
+    if(r.status===304) return { status:304 };
+    if(!r.ok) return { status:r.status, reason:"HTTP "+r.status };
+    const type=r.headers.get("content-type")||"";
+    if(type && !/html/i.test(type)) return { status:r.status, reason:"not HTML ("+type.split(";")[0]+")" };
+    const { lang:htmlLang, alternates, ...doc }=extractPage(await r.text(),r.url||url);
+    if(docChars(doc)<MIN_DOC_CHARS) return { status:r.status, reason:"too little text ("+docChars(doc)+" chars)" };
+    return { status:r.status, finalUrl:canonicalUrl(r.url||url), doc, htmlLang, alternates:siteAlternates(alternates),
+      etag:r.headers.get("etag"), lastModified:r.headers.get("last-modified") };
+  }catch(e){ return { status:0, reason:"network error: "+(e?.cause?.code||e?.message||String(e)) }; }
 }
 
 // ----- Crawl + index + embed -----
-async function crawl(){
-  KB=[]; VOCAB_IDF.clear(); CHUNK_TF.clear();
-  const urls=await getSitemapUrls(); let id=0;
-  for(const url of urls){
-    const doc=await fetchPageStrong(url);
-    if(!doc){ console.log("· skip",url); continue; }
-    const pieces=chunkText(doc);
-    for(const c of pieces) KB.push({ id:id++, url, lang:"en", chunk:c });
-    console.log("✓ [en]", url, "chunks:", pieces.length, "chars:", doc.length);
+// Network errors, timeouts, throttling and server errors say nothing about the page itself: its last copy stays in the KB.
+// Only a 404/410 (or dropping out of the sitemap and links) removes it.
+function transientStatus(status){ return status===0 || status===408 || status===429 || status>=500; }
+function progress(phase,done=0,total=0){ BUILD.phase=phase; BUILD.done=done; BUILD.total=total; }
+
+function emptySummary(){ return { added:0, changed:0, removed:0, unchanged:0 }; }
+
+// Builds a complete index off to the side; nothing here touches INDEX. Pages and vectors are
+// reused from `prev` wherever sitemap lastmod, HTTP validators or content hashes say nothing changed.
+async function buildIndex(prev, { full=false }={}){
+  const oldShape=prev.extractorVersion!==EXTRACTOR_VERSION;   // cached page records predate the current extractor
+  const refetch=full || oldShape;
+  const crawlStartedAt=new Date().toISOString();
+  const next=emptyIndex(); const { kb, pages }=next;
+  const summary={ pages:emptySummary(), chunks:emptySummary(), embedded:0, embedFailed:0, skipped:[], injection:{ chunks:0, sentences:0 } };
+  const prevPages=prev.pages;
+  const crawler=createCrawler({ site:SITE, userAgent:USER_AGENT, concurrency:CRAWL_CONCURRENCY, delayMs:CRAWL_DELAY_MS, maxPages:MAX_PAGES, maxDepth:MAX_LINK_DEPTH });
+  progress("discover");
+  await crawler.loadRobots();
+  const entries=await crawler.discover(SEED_PATHS);
+  progress("fetch",0,entries.length);
+  const order=new Map();   // url -> discovery position, so page order doesn't depend on which fetch finished first
+  // Decides one page: reuse the cached record, or fetch and extract it. Returns {} when there is nothing to index.
+  const resolvePage=async ({ url, lastmod, alternates:siteAlt })=>{
+    const old=prevPages.get(url);
+    if(!refetch && old?.doc && lastmod && old.lastmod===lastmod) return { page:{ ...old, alternates:{ ...old.alternates, ...siteAlt } }, state:"unchanged" };
+    const r=await fetchPageStrong(crawler,url,refetch?null:old);
+    if(r.status===304 && old?.doc) return { page:{ ...old, lastmod, alternates:{ ...old.alternates, ...siteAlt } }, state:"unchanged" };
+    if(transientStatus(r.status) && old?.doc && !oldShape){ console.log("· keep",url,"("+r.reason+", using last copy)"); return { page:{ ...old }, state:"unchanged" }; }
+    if(!r.doc){ crawler.skip(url,r.reason); return {}; }
+    // A redirect or <link rel=canonical> names the page's real address; index it once, under that URL.
+    const canon=[r.doc.canonical,r.finalUrl].map(u=>u&&canonicalUrl(u)).find(u=>u && u!==url);
+    if(canon && !crawler.inSite(canon)){ crawler.skip(url,"canonical/redirect leaves the site ("+canon+")"); return {}; }
+    if(canon && !crawler.claim(canon)){ crawler.skip(url,"duplicate of "+canon); return {}; }
+    const key=canon||url, prior=prevPages.get(key);
+    const hash=sha1(JSON.stringify(r.doc));
+    const alternates={ ...siteAlt, ...r.alternates };
+    const page={ url:key, lang:detectLang(key,alternates,r.htmlLang), alternates, lastmod, etag:r.etag, lastModified:r.lastModified, hash, doc:r.doc, fetchedAt:new Date().toISOString() };
+    return { page, state:!prior?"added":prior.hash===hash?"unchanged":"changed" };
+  };
+  await crawler.run(entries, async item=>{
+    const { page, state }=await resolvePage(item);
+    BUILD.done++; BUILD.total=crawler.queued;
+    if(!page) return;
+    pages.set(page.url,page); order.set(page.url,item.seq); summary.pages[state]++;
+    if(state!=="unchanged") console.log("✓ ["+page.lang+"]", page.url, state, "chars:", docChars(page.doc));
+    return page.doc.links?.map(l=>l.url);
+  });
+  summary.skipped=crawler.skipped;
+  const sorted=[...pages.values()].sort((a,b)=>order.get(a.url)-order.get(b.url));
+  pages.clear(); for(const p of sorted) pages.set(p.url,p);
+  // hreflang is often declared on one side only; make every link between locales two-way.
+  for(const p of pages.values()) for(const u of Object.values(p.alternates)){
+    const q=pages.get(u); if(q && q!==p && !q.alternates[p.lang]) q.alternates={ ...q.alternates, [p.lang]:p.url };
   }
-  console.log("📚 Crawled chunks:", KB.length);
-  const N=KB.length||1, df=new Map();
-  for(const d of KB){
-    const terms=unique(tokenize(d.chunk)); const tf=new Map();
-    for(const t of terms){ const re=new RegExp("\\b"+escWB(t)+"\\b","gi"); const count=(d.chunk.match(re)||[]).length||1; tf.set(t,count); }
-    CHUNK_TF.set(d.id,tf);
-    for(const t of terms) df.set(t,(df.get(t)||0)+1);
+  for(const url of prevPages.keys()) if(!pages.has(url)){ summary.pages.removed++; console.log("✗ removed", url); }
+
+  // Pages keep their full extracted doc; boilerplate is decided across the whole site on every build.
+  const cleaned=stripBoilerplate(pages.values(),BOILERPLATE);
+  summary.boilerplate={ blocks:0, chars:0 };
+  for(const [url,c] of cleaned) if(c.removedBlocks){
+    summary.boilerplate.blocks+=c.removedBlocks; summary.boilerplate.chars+=c.removedChars;
+    console.log("✂ boilerplate", url, "blocks:", c.removedBlocks, "chars:", c.removedChars, "of", docChars(pages.get(url).doc));
   }
-  for(const [t,dfv] of df.entries()){ VOCAB_IDF.set(t, Math.log((N+1)/(dfv+0.5))); }
-  console.log("🔎 Sparse index ready. Terms:", VOCAB_IDF.size);
-  await embedAllChunks();
+
+  // Re-chunk every page (cheap), collapse near-duplicates, then diff chunk hashes per page position against the previous build.
+  const oldChunks=new Map(), vecByHash=new Map(); let id=0;
+  for(const d of prev.kb){
+    if(!oldChunks.has(d.url)) oldChunks.set(d.url,[]);
+    oldChunks.get(d.url).push(d.hash);
+    if(d.hash && Array.isArray(d.vec) && !full) vecByHash.set(d.hash,d.vec);
+  }
+  const candidates=[];
+  for(const page of pages.values()) for(const c of chunkDocument(cleaned.get(page.url).doc,CHUNKING)) candidates.push({ page, c });
+  // Compare bodies only: the "Title › Section" prefix differs between pages even when the text does not.
+  const dups=findNearDuplicates(candidates.map(({ page, c })=>({ text:c.text.slice(c.text.indexOf("\n")+1), group:page.lang })),{ threshold:NEAR_DUP_THRESHOLD });
+  summary.nearDuplicates=dups.size;
+  if(dups.size) console.log("🧬 Near-duplicate chunks collapsed:", dups.size);
+  const perPage=new Map();
+  candidates.forEach(({ page, c },i)=>{ if(dups.has(i)) return; if(!perPage.has(page.url)) perPage.set(page.url,{ page, pieces:[] }); perPage.get(page.url).pieces.push(c); });
+  for(const { page, pieces } of perPage.values()){
+    const before=oldChunks.get(page.url)||[];
+    pieces.forEach((c,i)=>{
+      const text=guardChunk(page.url,c.text,summary.injection), hash=sha1(text);
+      kb.push({ id:id++, url:page.url, lang:page.lang, title:c.title, headings:c.headings, chunk:text, hash, vec:vecByHash.get(hash) });
+      summary.chunks[i>=before.length?"added":before[i]===hash?"unchanged":"changed"]++;
+    });
+    summary.chunks.removed+=Math.max(0,before.length-pieces.length);
+  }
+  for(const [url,hashes] of oldChunks) if(!perPage.has(url)) summary.chunks.removed+=hashes.length;
+  console.log("📚 Crawled chunks:", kb.length);
+  if(!kb.length) throw new Error("crawl produced no chunks");
+  progress("index",0,kb.length);
+  next.sparse=createSparseIndex(kb,{ ...RETRIEVAL.bm25, analyze, onProgress:()=>BUILD.done++ });
+  console.log("🔎 Sparse index ready. Terms:", next.sparse.vocab);
+  Object.assign(summary,await embedAllChunks(kb.filter(d=>!Array.isArray(d.vec)),{ refresh:full }));
+  next.vectors=buildVectorIndex(kb);
+  const { pages:p, chunks:c }=summary;
+  console.log("📊 Pages +"+p.added+" ~"+p.changed+" -"+p.removed+" ="+p.unchanged+" (skipped "+summary.skipped.length+") | chunks +"+c.added+" ~"+c.changed+" -"+c.removed+" ="+c.unchanged+" | embedded "+summary.embedded+(summary.embedFailed?" (failed "+summary.embedFailed+")":"")
+    +" | boilerplate "+summary.boilerplate.chars+" chars, near-dups "+summary.nearDuplicates+(summary.injection.chunks?" | injection-guarded chunks "+summary.injection.chunks:""));
+  return Object.assign(next,{ crawlStartedAt, crawlFinishedAt:new Date().toISOString(), summary, extractorVersion:EXTRACTOR_VERSION });
 }
-async function embedAllChunks(){
-  const texts=KB.map(d=>d.chunk); let start=0; const dims=new Set();
+// Page text is data, never instructions: sentences that address the model ("ignore previous instructions…") are dropped before
+// the chunk is hashed, embedded or put into a prompt. stats: { chunks, sentences } counters to add to.
+function guardChunk(url, text, stats={ chunks:0, sentences:0 }){
+  const { text:clean, removed }=sanitizeContent(text);
+  if(removed.length){
+    stats.chunks++; stats.sentences+=removed.length;
+    console.log("🛡️ Instruction-like text dropped from", url+":", removed.map(r=>JSON.stringify(r.slice(0,80))).join(", "));
+  }
+  return clean;
+}
+// Embeds only the chunks it is given (the delta); returns { embedded, embedFailed }.
+// A batch that still fails after retries stays unembedded (sparse-only) and is picked up by the next reindex.
+async function embedAllChunks(kb, { refresh=false }={}){
+  const texts=kb.map(d=>d.chunk); let start=0, embedded=0, failed=0; const dims=new Set();
+  progress("embed",0,texts.length);
   while(start<texts.length){
     const batch=texts.slice(start,start+BATCH_EMBED);
-    const resp=await openai.embeddings.create({ model:"text-embedding-3-small", input:batch });
-    resp.data.forEach((e,i)=>{ KB[start+i].vec=e.embedding; dims.add(e.embedding.length); });
-    start+=BATCH_EMBED;
+    try{
+      const vecs=await EMBEDDINGS.embed(batch,{ source:"crawl", refresh });
+      vecs.forEach((v,i)=>{ kb[start+i].vec=v; dims.add(v.length); }); embedded+=batch.length;
+    }catch(e){
+      failed+=batch.length;
+      if(e.code!=="circuit_open" || failed===batch.length) console.log("⚠️ Embedding batch failed ("+batch.length+" chunks left sparse-only):", e?.message||String(e));
+    }
+    start+=BATCH_EMBED; BUILD.done=Math.min(start,texts.length);
   }
-  console.log("🧠 Embeddings ready for",KB.length,"chunks. Dim:",Array.from(dims).join(","));
+  console.log("🧠 Embedded",embedded,"new chunks."+(dims.size?" Dim: "+Array.from(dims).join(","):"")+(failed?" "+failed+" failed.":""));
+  return { embedded, embedFailed:failed };
+}
+
+function buildVectorIndex(kb){
+  const t0=Date.now(), v=createVectorIndex(kb,RETRIEVAL.vectors), st=v.stats();
+  if(st.vectors) console.log("🧭 Vector index:", st.vectors, "×", st.dim, st.quantize, st.ann? "IVF "+st.ann.nlist+" lists" : "brute force", "("+(Date.now()-t0)+"ms)");
+  return v;
+}
+
+// Single-flight: concurrent callers share the running build. The new index is swapped in only after it fully succeeds.
+function crawl(opts){
+  if(BUILD.running) return BUILD.running;
+  BUILD.startedAt=new Date().toISOString();
+  BUILD.running=(async ()=>{
+    try{
+      const next=await buildIndex(INDEX,opts);
+      next.version=INDEX.version+1;
+      INDEX=next; ANSWERS.invalidate();
+      BUILD.lastSuccess=next.crawlFinishedAt; BUILD.lastError=null; BUILD.failures=0; BUILD.lastSummary=next.summary;
+      console.log("🔁 Index v"+next.version+" active:", next.kb.length, "chunks");
+      progress("save");
+      await persistSnapshot(next);
+      return next;
+    }catch(e){
+      BUILD.lastError={ at:new Date().toISOString(), phase:BUILD.phase, message:e?.message||String(e) }; BUILD.failures++;
+      console.log("⚠️ Reindex failed during", BUILD.phase+"; keeping index v"+INDEX.version+":", BUILD.lastError.message);
+      throw e;
+    }finally{
+      BUILD.running=null; progress("idle"); BUILD.startedAt=null;
+      scheduleReindex();
+    }
+  })();
+  return BUILD.running;
+}
+
+// ----- Scheduler -----
+let reindexTimer=null;
+function scheduleReindex(){
+  clearTimeout(reindexTimer); BUILD.nextRunAt=null;
+  if(!(REINDEX_INTERVAL_H>0)) return;
+  const last=Date.parse(INDEX.crawlFinishedAt)||Date.now();
+  // Chunks left unembedded (embeddings were down) are retried within 15 minutes.
+  const hours=BUILD.lastSummary?.embedFailed? Math.min(REINDEX_INTERVAL_H,0.25) : REINDEX_INTERVAL_H;
+  // A failed build is retried with backoff instead of at the next regular run (a day away, or every minute when the index is stale).
+  const retry=BUILD.failures && Date.parse(BUILD.lastError?.at)+Math.min(REINDEX_RETRY.firstMs*2**(BUILD.failures-1),REINDEX_RETRY.maxMs);
+  const at=Math.max(retry||last+hours*36e5, Date.now()+60e3);
+  BUILD.nextRunAt=new Date(at).toISOString();
+  // setTimeout overflows past ~24.8 days; re-arm in steps.
+  const wait=Math.min(at-Date.now(), 2**31-1);
+  reindexTimer=setTimeout(()=>{
+    if(Date.now()<at) return scheduleReindex();
+    console.log(BUILD.failures? "⏰ Retrying reindex after "+BUILD.failures+" failed build(s)" : "⏰ Scheduled reindex");
+    crawl().catch(()=>{});
+  },wait);
+}
+
+// ----- Snapshot -----
+async function persistSnapshot(idx){
+  try{
+    const { version:indexVersion, kb, sparse, vectors, pages, ...meta }=idx;
+    const at=await saveSnapshot(SNAPSHOT_FILE,{ meta:{ model:embedder.id, chunking:CHUNKING_SIG, indexVersion, ...meta }, kb, pages });
+    console.log("💾 Snapshot saved", SNAPSHOT_FILE, at);
+  }catch(e){ console.log("⚠️ Snapshot save failed:", e?.message||String(e)); }
+}
+// Loads the snapshot as the active index; returns why it needs a refresh, or "" when it is fresh.
+async function restoreSnapshot(){
+  let snap;
+  try{ snap=await loadSnapshot(SNAPSHOT_FILE); }
+  catch(e){ console.log("⚠️ Snapshot unreadable:", e?.message||String(e)); return "snapshot unreadable"; }
+  if(!snap) return "no snapshot";
+  const { meta }=snap;
+  // Snapshots written before the guard existed are cleaned on load too; the next crawl re-embeds what changed.
+  for(const d of snap.kb) d.chunk=guardChunk(d.url,d.chunk);
+  INDEX={ ...emptyIndex(), version:meta.indexVersion||1, kb:snap.kb, sparse:createSparseIndex(snap.kb,{ ...RETRIEVAL.bm25, analyze }), pages:snap.pages,
+    vectors:meta.model===embedder.id? buildVectorIndex(snap.kb) : createVectorIndex([]),
+    crawlStartedAt:meta.crawlStartedAt, crawlFinishedAt:meta.crawlFinishedAt, summary:meta.summary||null, extractorVersion:meta.extractorVersion||1 };
+  BUILD.lastSuccess=meta.crawlFinishedAt; BUILD.lastSummary=INDEX.summary;
+  console.log("📦 Snapshot loaded: index v"+INDEX.version+",", INDEX.kb.length, "chunks from", meta.crawlFinishedAt);
+  if(meta.model!==embedder.id){
+    // Vectors from another model live in a different space; keep sparse retrieval until re-embedded.
+    for(const d of INDEX.kb) delete d.vec;
+    return "embedding model changed ("+meta.model+" → "+embedder.id+")";
+  }
+  if(meta.chunking!==CHUNKING_SIG) return "chunking changed ("+(meta.chunking||"800 chars")+" → "+CHUNKING_SIG+" tokens)";
+  const unembedded=INDEX.kb.filter(d=>!Array.isArray(d.vec)).length;
+  if(unembedded) return unembedded+" chunks have no embeddings";
+  if(INDEX.extractorVersion!==EXTRACTOR_VERSION) return "page extractor changed (v"+INDEX.extractorVersion+" → v"+EXTRACTOR_VERSION+")";
+  const ageH=(Date.now()-Date.parse(meta.crawlFinishedAt))/36e5;
+  if(!(ageH<SNAPSHOT_MAX_AGE_H)) return "snapshot is "+(Number.isFinite(ageH)?ageH.toFixed(1)+"h":"of unknown age")+" old";
+  return "";
 }
 
 // ----- Retrieval (hybrid) -----
-async function retrieveContext(query){
-  if(!KB.length) return "";
-  const qemb=await openai.embeddings.create({ model:"text-embedding-3-small", input:query });
-  const qv=qemb.data[0].embedding;
-  const terms=unique(tokenize(query)); const scored=[];
-  for(const d of KB){
-    const dense=d.vec?cosine(qv,d.vec):0;
-    let sparse=0; const tf=CHUNK_TF.get(d.id);
-    if(tf){ for(const t of terms){ const f=tf.get(t)||0, idf=VOCAB_IDF.get(t)||0; const denom=1+0.25+f; sparse += idf*(1.2*f)/denom; } }
-    const score=0.7*dense + 0.3*Math.tanh(sparse);
-    if(score>0) scored.push({d,score});
+// Dense + BM25 → RRF → MMR, in lib/retrieval.js; scripts/eval.js runs the same pipeline against a snapshot.
+// retrieveContext(query, lang) → { ctx (numbered sources for the prompt), sources:[{ id, url, title, section, snippet }], qv (query vector) }
+const retrieve = createRetriever({
+  ...RETRIEVAL, analyze,
+  embedQuery:async q=>(await EMBEDDINGS.embed([q],{ source:"query" }))[0],
+  onEmbedError:e=>console.log("⚠️ Query embedding failed, sparse-only retrieval:", e?.message||String(e))
+});
+function retrieveContext(query, lang="en"){ return retrieve(INDEX,query,lang); }
+// Sources the answer refers to, by [n] marker or by URL.
+function citedSources(reply, sources){
+  const nums=new Set(Array.from(String(reply).matchAll(/\[(\d+)(?:\s*,\s*\d+)*\]/g), m=>m[0].match(/\d+/g).map(Number)).flat());
+  return sources.filter(s=>nums.has(s.id) || new RegExp(escWB(s.url)+"(?![\\w/-]|\\.\\w)").test(reply)).map(s=>s.id);
+}
+
+// ----- Sessions -----
+async function summarizeTurns(summary, turns){
+  const r=await llm.chat({
+    temperature:0,
+    messages:[
+      {role:"system",content:"Summarize this chat between a website visitor and SODERBOT (assistant of a film production company) in at most 120 words. Keep names, contact details, projects, dates, budgets and open questions. Write in the language of the conversation."},
+      {role:"user",content:(summary?"Earlier summary:\n"+summary+"\n\n":"")+turns.map(t=>(t.role==="user"?"Visitor: ":"SODERBOT: ")+t.content).join("\n")}
+    ]
+  });
+  return r.text.trim()||summary;
+}
+const SESSIONS=createSessionStore({ ttlMs:SESSION_TTL_MIN*60e3, maxHistoryTokens:HISTORY_TOKENS, keepTurns:KEEP_TURNS, summarize:summarizeTurns });
+const LEADS=createLeadStore(LEADS_FILE);
+const BOOKINGS=BOOKING.source? createBookingService({ ...BOOKING, userAgent:USER_AGENT }) : null;
+const CHAT_TOOLS=[...QUOTE_TOOLS, ...(BOOKINGS?BOOKING_TOOLS:[])];
+const WEBHOOKS=createWebhooks({ endpoints:webhookEndpoints(), queueFile:WEBHOOK_QUEUE_FILE, logFile:WEBHOOK_LOG_FILE, userAgent:"SODERBOT-Webhooks/1.0" });
+
+function webhookEndpoints(){
+  let list=[];
+  try{ list=JSON.parse(process.env.WEBHOOKS || (process.env.WEBHOOKS_FILE? readFileSync(process.env.WEBHOOKS_FILE,"utf8") : "[]")); }
+  catch(e){ console.log("⚠️ Webhook config unreadable:", e?.message||String(e)); }
+  const { endpoints, errors }=parseEndpoints(list);
+  for(const err of errors) console.log("⚠️", err);
+  return endpoints;
+}
+function leadPayload({ transcript, ...lead }){ return { ...lead, messages:transcript?.messages?.length||0 }; }
+
+// Follow-ups like "how much does that cost?" only make sense with what was asked before.
+function retrievalQuery(session, msg){
+  const prev=session.turns.filter(t=>t.role==="user").slice(-QUERY_TURNS).map(t=>t.content);
+  return [...prev,msg].join("\n");
+}
+
+// ----- Quote intake (tool calls) -----
+// The draft lives on the session: session.quote = { fields, startedAt, submittedId? }
+function quoteState(session){
+  const q=session.quote; if(!q) return "";
+  if(q.submittedId) return "Quote intake: the brief was already sent to the team (reference "+q.submittedId.slice(0,8)+"). Start a new one only if the visitor asks for another quote.";
+  const missing=missingFields(q.fields);
+  return "Quote intake in progress. Collected: "+JSON.stringify(q.fields)+". Missing: "+(missing.join(", ")||"nothing — summarize and ask to confirm")+".";
+}
+async function runQuoteTool(ctx, call){
+  let args; try{ args=JSON.parse(call.function.arguments||"{}"); }catch{ return { ok:false, error:"arguments were not valid JSON" }; }
+  const { session, lang }=ctx;
+  if(call.function.name==="update_quote_brief"){
+    if(!session.quote || session.quote.submittedId) session.quote={ fields:{}, startedAt:new Date().toISOString() };
+    const { values, errors }=validateQuoteFields(args,session.quote.fields);
+    Object.assign(session.quote.fields,values);
+    return { ok:!errors.length, saved:Object.keys(values), errors, missing:missingFields(session.quote.fields) };
+  }
+  if(call.function.name==="submit_quote_brief"){
+    const q=session.quote;
+    if(!q || q.submittedId) return { ok:false, error:"no quote intake in progress" };
+    const missing=missingFields(q.fields);
+    if(missing.length) return { ok:false, error:"brief is incomplete", missing };
+    if(args.confirmed!==true) return { ok:false, error:"ask the visitor to confirm the summary first" };
+    const brief=buildBrief(q.fields);
+    const { lead:contact, errors }=validateLead({ ...q.fields, question:briefSummary(brief) });
+    if(errors) return { ok:false, errors };
+    const lead=await LEADS.create(contact,{ lang, sessionId:session.id, source:"quote", brief, transcript:{ summary:session.summary, messages:SESSIONS.transcript(session) } });
+    q.submittedId=lead.id; ctx.quoteId=lead.id;
+    console.log("🧾 Quote brief", lead.id, "("+brief.projectType+", "+brief.location+")");
+    WEBHOOKS.emit("quote.submitted",leadPayload(lead));
+    return { ok:true, reference:lead.id.slice(0,8) };
+  }
+  return { ok:false, error:"unknown tool "+call.function.name };
+}
+
+// ----- Consultation booking (tool calls) -----
+async function runBookingTool(ctx, call, args){
+  const { session, lang, tz }=ctx;
+  if(call.function.name==="find_consultation_slots"){
+    const from=/^\d{4}-\d{2}-\d{2}$/.test(args.from||"")? args.from+"T00:00:00Z" : undefined;
+    const slots=await BOOKINGS.slots({ from, partOfDay:args.partOfDay, tz, lang });
+    return { ok:true, timeZone:tz, minutes:BOOKING.slotMinutes, slots:slots.map(({ start, label })=>({ start, label })), ...(slots.length?{}:{ note:"no free times in this range" }) };
   }
-  scored.sort((a,b)=>b.score-a.score);
-  let ctx=""; for(const {d} of scored.slice(0,TOP_K)){ if(ctx.length+d.chunk.length>MAX_CONTEXT) break; ctx += "[Source] "+d.url+"\n"+d.chunk+"\n\n"; }
-  return ctx;
+  const { lead:contact, errors }=validateLead({ ...args, question:args.topic });
+  if(errors) return { ok:false, errors };
+  const r=await BOOKINGS.reserve({ start:args.start, contact:{ name:contact.name, email:contact.email, phone:contact.phone, company:contact.company, topic:contact.question }, tz, lang, sessionId:session.id });
+  if(r.error) return { ok:false, error:r.error };
+  if(r.conflict) return { ok:false, error:"that slot was just taken", alternatives:r.alternatives.map(({ start, label })=>({ start, label })) };
+  ctx.bookingId=r.booking.id; booked(r.booking);
+  return { ok:true, reference:r.booking.id.slice(0,8), when:r.booking.label, timeZone:tz };
+}
+function booked(b){
+  console.log("📅 Consultation booked", b.start, "("+b.name+")");
+  const { tz, ...rest }=b; WEBHOOKS.emit("booking.created",{ ...rest, timeZone:tz });
+}
+async function runTool(ctx, call){
+  if(!BOOKING_TOOLS.some(t=>t.function.name===call.function.name)) return runQuoteTool(ctx,call);
+  if(!BOOKINGS) return { ok:false, error:"booking is not available" };
+  let args; try{ args=JSON.parse(call.function.arguments||"{}"); }catch{ return { ok:false, error:"arguments were not valid JSON" }; }
+  try{ return await runBookingTool(ctx,call,args); }
+  catch(e){ return { ok:false, error:e?.message||String(e) }; }
 }
 
 // ----- Chat API -----
-app.post("/chat", async (req,res)=>{
+// Shared by /chat and /chat/stream: resolves the session, retrieves knowledge and builds the messages array.
+// A message that reads as a prompt-injection attempt gets ctx.blocked (the matched labels) and goes no further.
+async function prepareChat(body){
+  const raw=body?.message||""; const lang=LANGS.includes(body?.lang)?body.lang:"en";
+  const tz=validTimeZone(body?.tz)? body.tz : BOOKING.tz;
+  const session=SESSIONS.getOrCreate(body?.sessionId);
+  if(!raw.trim()) return { session, msg:"", sources:[] };
+  const injection=detectInjection(raw), msg=stripRoleMarkup(raw);
+  if(injection.score>=INJECTION_BLOCK) return { session, msg, lang, tz, sources:[], blocked:injection.labels };
+  const kbVersion=INDEX.version;
+  let { ctx, sources, qv }=await retrieveContext(retrievalQuery(session,msg),lang);
+  // Only an opening question stands on its own; later answers depend on the conversation. One with contact details or a name
+  // is about that visitor: it neither gets nor leaves a shared answer (lib/cache.js refuses to store it as well).
+  const standalone=!session.turns.length && !session.summary && !session.quote && !hasPersonalData(msg,siteDetails());
+  const cached=standalone? ANSWERS.lookup({ vec:qv, lang, version:kbVersion }) : null;
+  if(cached) sources=cached.sources;
+  const sys=systemPrompt({ lang, ctx, tz, bookingMinutes:BOOKINGS?BOOKING.slotMinutes:0, summary:session.summary, quote:quoteState(session) });
+  const messages=[ {role:"system",content:sys}, ...session.turns.map(t=>({role:t.role,content:t.content})), {role:"user",content:msg} ];
+  return { session, msg, lang, tz, ctx, sources, messages, qv, kbVersion, standalone, cached };
+}
+// Model turns until it answers in text, running tool calls in between. The last round gets no tools so it must answer.
+// The reply is that last round's text; a preamble sent alongside tool calls ("Let me check…") is not part of it.
+async function answer(ctx, { signal, onDelta }={}){
+  const messages=[...ctx.messages]; let text="", finishReason=null;
+  for(let round=0; round<=MAX_TOOL_ROUNDS; round++){
+    const r=await llm.chat({ messages, tools:round<MAX_TOOL_ROUNDS?CHAT_TOOLS:undefined, signal, onDelta });
+    text=r.text; finishReason=r.finishReason; ctx.toolCalls=(ctx.toolCalls||0)+r.toolCalls.length;
+    if(!r.toolCalls.length || signal?.aborted) break;
+    messages.push({ role:"assistant", content:r.text||null, tool_calls:r.toolCalls });
+    for(const call of r.toolCalls) messages.push({ role:"tool", tool_call_id:call.id, content:JSON.stringify(await runTool(ctx,call)) });
+  }
+  return { text, finishReason };
+}
+// While the LLM is unreachable (or today's budget is spent): the best-matching KB snippets with their links, and a handoff offer.
+const DEGRADED_TEXT = {
+  en:{ intro:"I can't reach my language model right now, but this is what I found on our site:", none:"I can't reach my language model right now.",
+    busyIntro:"I'm very busy right now and can't write a full answer, but this is what I found on our site:", busyNone:"I'm very busy right now and can't write a full answer.", offer:"Would you like our team to get back to you?" },
+  fi:{ intro:"En juuri nyt saa yhteyttä kielimalliini, mutta löysin sivustoltamme tämän:", none:"En juuri nyt saa yhteyttä kielimalliini.",
+    busyIntro:"Minulla on juuri nyt ruuhkaa enkä ehdi kirjoittaa kokonaista vastausta, mutta löysin sivustoltamme tämän:", busyNone:"Minulla on juuri nyt ruuhkaa enkä ehdi kirjoittaa kokonaista vastausta.", offer:"Haluatko, että tiimimme ottaa sinuun yhteyttä?" },
+  sv:{ intro:"Jag når inte min språkmodell just nu, men det här hittade jag på vår webbplats:", none:"Jag når inte min språkmodell just nu.",
+    busyIntro:"Jag har mycket att göra just nu och hinner inte skriva ett fullständigt svar, men det här hittade jag på vår webbplats:", busyNone:"Jag har mycket att göra just nu och hinner inte skriva ett fullständigt svar.", offer:"Vill du att vårt team kontaktar dig?" }
+};
+function degradedAnswer(ctx){
+  const t=DEGRADED_TEXT[ctx.lang]||DEGRADED_TEXT.en, top=ctx.sources.slice(0,3);
+  const found=top.map(s=>"• "+(s.title?s.title+": ":"")+s.snippet+" — "+s.url).join("\n");
+  return (top.length? (ctx.busy?t.busyIntro:t.intro)+"\n"+found : ctx.busy?t.busyNone:t.none)+"\n\n"+t.offer+" [[handoff]]";
+}
+// Upstream failures (code set by resilience.js) and a spent daily budget degrade; anything else is a bug and surfaces as an error.
+function degradable(e){ return ["rate_limited","unavailable","circuit_open","timeout","upstream_error","budget_exhausted"].includes(e?.code); }
+// Answer to a blocked injection attempt; the model never sees the message.
+const GUARD_TEXT = {
+  en:"I can only help with questions about Soderman Audiovisual and our services. What would you like to know?",
+  fi:"Voin auttaa vain Soderman Audiovisualiin ja palveluihimme liittyvissä kysymyksissä. Mitä haluaisit tietää?",
+  sv:"Jag kan bara hjälpa till med frågor om Soderman Audiovisual och våra tjänster. Vad vill du veta?"
+};
+// Error body: { ok:false, code, msg } — msg is safe to show; the underlying error is only logged.
+const ERROR_MSG = {
+  bad_request:"Invalid request", too_many_requests:"Too many requests, please wait a moment", payload_too_large:"Request too large", rate_limited:"The assistant is busy, please try again shortly", unavailable:"The assistant is temporarily unavailable",
+  circuit_open:"The assistant is temporarily unavailable", timeout:"The assistant took too long to answer", upstream_error:"The assistant could not answer", internal:"Something went wrong"
+};
+const CLIENT_ERRORS = ["bad_request","too_many_requests","payload_too_large"];   // caused by the request: message shown, nothing logged
+function errorBody(e){ const code=ERROR_MSG[e?.code]? e.code : "internal"; return { ok:false, code, msg:CLIENT_ERRORS.includes(code)&&e.message? e.message : ERROR_MSG[code] }; }
+function sendError(res, e, where){
+  const body=errorBody(e);
+  if(!CLIENT_ERRORS.includes(body.code)) console.log("⚠️", where+":", e?.message||String(e));
+  if(e?.retryAfterMs) res.set("Retry-After",String(Math.ceil(e.retryAfterMs/1000)));
+  res.status(e?.status&&body.code!=="internal"? e.status : 500).json(body);
+}
+function checkChatBody(body){
+  if(body?.message!=null && typeof body.message!=="string") throw codedError("bad_request","message must be a string");
+  if(body?.message?.length>LIMITS.messageChars) throw codedError("payload_too_large","Message too long (max "+LIMITS.messageChars+" characters)");
+}
+// Run before any work is done: one token from the client's IP bucket and, when the session exists, from its session's bucket.
+// /handoff and /booking also take one from the form bucket (keyed by IP) and have a body cap well below BODY_LIMIT
+// (lead fields are clipped on save anyway).
+const IP_LIMIT=createRateLimiter(LIMITS.ip), SESSION_LIMIT=createRateLimiter(LIMITS.session), FORM_LIMIT=createRateLimiter(LIMITS.form);
+const byIp=req=>req.ip, bySession=req=>SESSIONS.get(req.body?.sessionId)?.id;
+const refuse={
+  reject:(req,res,e)=>sendError(res,e,req.path),
+  onLimited:req=>{ const session=SESSIONS.get(req.body?.sessionId); console.log("🚦 Rate limited", req.path, req.ip+(session?" / session "+session.id.slice(0,8):"")); }
+};
+const chatRateLimit=rateLimit([[IP_LIMIT,byIp],[SESSION_LIMIT,bySession]],refuse);
+const formGuard=[rateLimit([[IP_LIMIT,byIp],[SESSION_LIMIT,bySession],[FORM_LIMIT,byIp]],refuse), bodyCap(LIMITS.formChars,{ what:"Form", reject:refuse.reject })];
+// A cached answer, else the model (with tools), else the degraded KB answer when the model is unreachable.
+async function produceAnswer(ctx, { signal, onDelta }={}){
+  if(ctx.blocked){
+    console.log("🛡️ Prompt-injection attempt refused ("+ctx.blocked.join(", ")+"):", JSON.stringify(ctx.msg.slice(0,120)));
+    const text=GUARD_TEXT[ctx.lang]||GUARD_TEXT.en; onDelta?.(text);
+    return { text, finishReason:"guard" };
+  }
+  if(ctx.cached){ onDelta?.(ctx.cached.text); return { text:ctx.cached.text, finishReason:"cache" }; }
   try{
-    const msg=req.body?.message||""; const lang=req.body?.lang||"en";
-    if(!msg) return res.json({reply:"Please type a message."});
-    const ctx=await retrieveContext(msg);
-    const langRule=(lang==="fi")?"Answer in Finnish.":(lang==="sv")?"Answer in Swedish.":"Answer in English.";
-    const sys=[
-      "You are SODERBOT, assistant for Soderman Audiovisual.",
-      "We are a film production company based in Vaasa and Helsinki. Use 'we'/'our'.",
-      "When the question is very short (even a single word), infer the most relevant section from the knowledge and explain briefly with context.",
-      langRule,
-      "Use only the knowledge provided. If a detail is missing, say so and offer a human handoff.",
-      ctx?("Knowledge:\n"+ctx):"Knowledge: (none yet)"
-    ].join("\n");
-    const r=await openai.chat.completions.create({
-      model:"gpt-4o-mini", temperature:0.15,
-      messages:[ {role:"system",content:sys}, {role:"user",content:msg} ]
+    const r=await answer(ctx,{ signal, onDelta });
+    if(ctx.standalone && !ctx.toolCalls && !signal?.aborted && r.text.trim()){
+      const tokens=estimateTokens(ctx.messages.map(m=>m.content||"").join("\n"))+estimateTokens(r.text);
+      ANSWERS.store({ vec:ctx.qv, lang:ctx.lang, version:ctx.kbVersion, question:ctx.msg, answer:{ text:r.text, sources:ctx.sources }, tokens });
+    }
+    return r;
+  }catch(e){
+    if(!degradable(e) || signal?.aborted) throw e;
+    console.log("⚠️ Chat degraded:", e.message); ctx.degraded=true; ctx.busy=e.code==="budget_exhausted";
+    return { text:degradedAnswer(ctx), finishReason:null };
+  }
+}
+// Strips the handoff marker from a finished reply.
+function handoffReply(text){ const handoff=text.search(HANDOFF_MARK)>=0; return { reply:text.replace(HANDOFF_MARK,"").trim()||"(no reply)", handoff }; }
+// "Could not answer": nothing relevant was retrieved, or the model fell back to offering a human. Tool turns don't count.
+function reportUnanswered(ctx, reply, handoff){
+  const reason=ctx.busy? "budget-exhausted" : ctx.degraded? "llm-unavailable" : ctx.toolCalls? "" : !ctx.sources.length? "no-knowledge" : handoff? "handoff-offered" : "";
+  if(reason) WEBHOOKS.emit("chat.unanswered",{ sessionId:ctx.session.id, lang:ctx.lang, question:ctx.msg, reply, reason });
+}
+async function recordTurn(session, msg, reply){
+  SESSIONS.append(session,"user",msg); SESSIONS.append(session,"assistant",reply);
+  await SESSIONS.compact(session);
+}
+
+// Body: { message, lang?, sessionId?, tz? }. Unknown or expired sessions start over; the reply carries the id to reuse.
+// Answer: { reply, sessionId, sources:[{ id, url, title, section, snippet, cited }], cited:[id], handoff, quoteId?, bookingId?, degraded?, busy?, blocked?, cached? }
+// Errors: 4xx/5xx with { ok:false, code, msg }; 429 (with Retry-After) over the rate limits, 413 over the size limits.
+// Blocked injection attempts are answered with a fixed reply and kept out of the session history.
+app.post("/chat", chatRateLimit, async (req,res)=>{
+  try{
+    checkChatBody(req.body);
+    const ctx=await prepareChat(req.body); const { session, msg, sources }=ctx;
+    if(!msg) return res.json({reply:"Please type a message.",sessionId:session.id,sources:[],cited:[]});
+    const { reply, handoff }=handoffReply((await produceAnswer(ctx)).text);
+    if(!ctx.blocked){ await recordTurn(session,msg,reply); reportUnanswered(ctx,reply,handoff); }
+    const cited=citedSources(reply,sources);
+    res.json({reply,sessionId:session.id,sources:sources.map(s=>({ ...s, cited:cited.includes(s.id) })),cited,handoff,quoteId:ctx.quoteId,bookingId:ctx.bookingId,...chatFlags(ctx)});
+  }catch(e){ sendError(res,e,"chat failed"); }
+});
+
+function chatFlags(ctx){ return { ...(ctx.degraded?{ degraded:true }:{}), ...(ctx.busy?{ busy:true }:{}), ...(ctx.blocked?{ blocked:true }:{}), ...(ctx.cached?{ cached:true }:{}) }; }
+
+// Same body as /chat, answered as Server-Sent Events:
+//   retrieval {sessionId, sources} → delta {text} … → done {sessionId, reply, cited, handoff, quoteId?, bookingId?, degraded?, busy?, blocked?, cached?, model, finishReason, ms}   (or error {code, message})
+// When the LLM fails the done event carries the degraded reply, which replaces any partial text.
+// A visitor who disconnects aborts the completion; the unfinished turn is not kept in the session.
+app.post("/chat/stream", chatRateLimit, async (req,res)=>{
+  const t0=Date.now(), ac=new AbortController();
+  try{ checkChatBody(req.body); }catch(e){ return sendError(res,e,"chat stream"); }
+  res.on("close",()=>{ if(!res.writableEnded) ac.abort(); });
+  res.writeHead(200,{ "Content-Type":"text/event-stream; charset=utf-8", "Cache-Control":"no-cache, no-transform", "Connection":"keep-alive", "X-Accel-Buffering":"no" });
+  const send=(event,data)=>{ if(!res.writableEnded) res.write("event: "+event+"\ndata: "+JSON.stringify(data)+"\n\n"); };
+  try{
+    const ctx=await prepareChat(req.body); const { session, msg, sources }=ctx;
+    if(!msg){ send("done",{ sessionId:session.id, reply:"Please type a message.", cited:[] }); return res.end(); }
+    send("retrieval",{ sessionId:session.id, sources });
+    const { text, finishReason }=await produceAnswer(ctx,{ signal:ac.signal, onDelta:delta=>send("delta",{ text:delta }) });
+    if(ac.signal.aborted) return console.log("· chat stream closed by client");   // the SDK ends the iteration quietly on abort
+    const { reply, handoff }=handoffReply(text);
+    if(!ctx.blocked){ await recordTurn(session,msg,reply); reportUnanswered(ctx,reply,handoff); }
+    const flags=chatFlags(ctx);
+    send("done",{ sessionId:session.id, reply, cited:citedSources(reply,sources), handoff, quoteId:ctx.quoteId, bookingId:ctx.bookingId, ...(Object.keys(flags).length? flags : { model:llm.model, finishReason }), ms:Date.now()-t0 });
+  }catch(e){
+    if(ac.signal.aborted) return console.log("· chat stream closed by client");
+    const { code, msg }=errorBody(e);
+    if(!CLIENT_ERRORS.includes(code)) console.log("⚠️ chat stream failed:", e?.message||String(e));
+    send("error",{ code, message:msg });
+  }
+  res.end();
+});
+
+// ----- Handoff / Leads -----
+// Body: { sessionId?, lang?, name, email?, phone?, company?, question? }. The session transcript is attached. 429/413 over the form limits.
+app.post("/handoff", formGuard, async (req,res)=>{
+  const { lead, errors }=validateLead(req.body);
+  if(errors) return res.status(400).json({ok:false,msg:"Invalid contact details",errors});
+  try{
+    const session=SESSIONS.get(req.body?.sessionId);
+    if(!lead.question) lead.question=[...(session?.log||[])].reverse().find(t=>t.role==="user")?.content||"";
+    const saved=await LEADS.create(lead,{
+      lang:LANGS.includes(req.body?.lang)?req.body.lang:"en", sessionId:session?.id||null, source:"widget",
+      transcript:{ summary:session?.summary||"", messages:SESSIONS.transcript(session) }
     });
-    res.json({reply:r.choices?.[0]?.message?.content||"(no reply)"});
-  }catch(e){ res.json({reply:"Error "+(e?.message||String(e))}); }
+    console.log("📨 New lead", saved.id, "("+(saved.email||saved.phone)+")");
+    WEBHOOKS.emit("lead.created",leadPayload(saved));
+    res.status(201).json({ok:true,id:saved.id});
+  }catch(e){
+    console.log("⚠️ Lead save failed:", e?.message||String(e));
+    res.status(500).json({ok:false,msg:"Could not save your details"});
+  }
+});
+
+// Every /admin route needs a valid token; each one also names the scope it needs.
+app.use("/admin",requireAdmin());
+
+// ?status=new|contacted|qualified|closed. Transcripts only come with the single-lead view.
+app.get("/admin/leads",requireAdmin("leads"),(req,res)=>{
+  const leads=LEADS.list({ status:req.query.status }).map(({ transcript, ...l })=>({ ...l, messages:transcript?.messages?.length||0 }));
+  res.json({ok:true,count:leads.length,leads});
+});
+app.get("/admin/leads/:id",requireAdmin("leads"),(req,res)=>{
+  const lead=LEADS.get(req.params.id);
+  if(!lead) return res.status(404).json({ok:false,msg:"Lead not found"});
+  res.json({ok:true,lead});
+});
+async function updateLead(res, id, patch){
+  try{
+    const { lead, errors, notFound }=await LEADS.update(id,patch);
+    if(notFound) return res.status(404).json({ok:false,msg:"Lead not found"});
+    if(errors) return res.status(400).json({ok:false,msg:"Invalid update",errors});
+    res.json({ok:true,lead});
+  }catch(e){ res.status(500).json({ok:false,msg:"Could not update lead",error:e?.message||String(e)}); }
+}
+// Body: { status?, notes?, assignee? }
+app.patch("/admin/leads/:id",requireAdmin("leads"),(req,res)=>updateLead(res,req.params.id,req.body));
+app.post("/admin/leads/:id/close",requireAdmin("leads"),(req,res)=>updateLead(res,req.params.id,{ ...req.body, status:"closed" }));
+
+// Quote briefs are leads with source "quote". ?status= filters as for leads; the CSV has one row per brief.
+function quoteLeads(status){ return LEADS.list({ status }).filter(l=>l.brief); }
+app.get("/admin/quotes",requireAdmin("leads"),(req,res)=>{
+  const quotes=quoteLeads(req.query.status).map(({ transcript, ...l })=>l);
+  res.json({ok:true,count:quotes.length,quotes});
+});
+app.get("/admin/quotes.csv",requireAdmin("leads"),(req,res)=>{
+  res.setHeader("Content-Type","text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition",'attachment; filename="quote-briefs-'+new Date().toISOString().slice(0,10)+'.csv"');
+  res.send("\uFEFF"+briefsToCsv(quoteLeads(req.query.status)));   // BOM so Excel reads ä/ö as UTF-8
+});
+app.get("/admin/quotes/:id",requireAdmin("leads"),(req,res)=>{
+  const lead=LEADS.get(req.params.id);
+  if(!lead?.brief) return res.status(404).json({ok:false,msg:"Quote brief not found"});
+  res.json({ok:true,quote:lead});
+});
+
+// ----- Booking API -----
+function requireBooking(_req,res,next){ if(!BOOKINGS) return res.status(503).json({ok:false,msg:"Booking not configured (set BOOKING_ICS)"}); next(); }
+// ?tz=Europe/Stockholm&lang=sv&from=YYYY-MM-DD&limit=6
+app.get("/booking/slots",requireBooking,async (req,res)=>{
+  const tz=validTimeZone(req.query.tz)? req.query.tz : BOOKING.tz, lang=LANGS.includes(req.query.lang)?req.query.lang:"en";
+  const from=/^\d{4}-\d{2}-\d{2}$/.test(req.query.from||"")? req.query.from+"T00:00:00Z" : undefined;
+  try{ res.json({ok:true,timeZone:tz,minutes:BOOKING.slotMinutes,slots:await BOOKINGS.slots({ from, tz, lang, limit:Math.min(Number(req.query.limit)||6,30) })}); }
+  catch(e){ res.status(503).json({ok:false,msg:"Availability unavailable",error:e?.message||String(e)}); }
+});
+// Body: { start, name, email?, phone?, company?, topic?, tz?, lang?, sessionId? } → 201, 400 (invalid), 409 (taken, with alternatives), 413/429 (form limits)
+app.post("/booking",requireBooking,formGuard,async (req,res)=>{
+  const { lead:contact, errors }=validateLead({ ...req.body, question:req.body?.topic });
+  if(errors) return res.status(400).json({ok:false,msg:"Invalid contact details",errors});
+  const tz=validTimeZone(req.body?.tz)? req.body.tz : BOOKING.tz, lang=LANGS.includes(req.body?.lang)?req.body.lang:"en";
+  try{
+    const r=await BOOKINGS.reserve({ start:req.body?.start, contact:{ name:contact.name, email:contact.email, phone:contact.phone, company:contact.company, topic:contact.question }, tz, lang, sessionId:SESSIONS.get(req.body?.sessionId)?.id||null });
+    if(r.error) return res.status(400).json({ok:false,msg:r.error});
+    if(r.conflict) return res.status(409).json({ok:false,msg:"Slot no longer available",alternatives:r.alternatives});
+    booked(r.booking);
+    res.status(201).json({ok:true,booking:{ id:r.booking.id, start:r.booking.start, end:r.booking.end, label:r.booking.label, timeZone:tz }});
+  }catch(e){ res.status(503).json({ok:false,msg:"Could not book right now",error:e?.message||String(e)}); }
+});
+app.get("/admin/bookings",requireAdmin("bookings"),requireBooking,async (_req,res)=>{
+  try{ const bookings=await BOOKINGS.list(); res.json({ok:true,count:bookings.length,bookings}); }
+  catch(e){ res.status(500).json({ok:false,msg:"Could not read bookings",error:e?.message||String(e)}); }
+});
+app.get("/admin/bookings.ics",requireAdmin("bookings"),requireBooking,async (_req,res)=>{
+  try{
+    const ics=await BOOKINGS.ics();
+    res.setHeader("Content-Type","text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition",'attachment; filename="soderbot-bookings.ics"');
+    res.send(ics);
+  }catch(e){ res.status(500).json({ok:false,msg:"Could not read bookings",error:e?.message||String(e)}); }
+});
+
+// ----- Webhooks admin -----
+app.get("/admin/webhooks",requireAdmin("webhooks"),async (req,res)=>{
+  try{ res.json({ok:true,...WEBHOOKS.status(),recent:await WEBHOOKS.recent(Math.min(Number(req.query.limit)||50,500))}); }
+  catch(e){ res.status(500).json({ok:false,msg:"Could not read delivery log",error:e?.message||String(e)}); }
+});
+// Sends a "test" event to every endpoint, whatever it subscribes to.
+app.post("/admin/webhooks/test",requireAdmin("webhooks"),(_req,res)=>{
+  const event=WEBHOOKS.emit("test",{ message:"Test event from SODERBOT", site:SITE },{ force:true });
+  res.status(202).json({ok:true,event:event.id,queued:WEBHOOKS.pending});
+});
+
+// ----- Retrieval debugging -----
+// ?q=…&lang=fi&sessionId=…&tz=… → ranked candidates with dense/sparse/fused scores, which of them fit MAX_CONTEXT, and the
+// exact system prompt. With a sessionId the query folds in that session's recent questions, as /chat does; the session is left as is.
+app.get("/admin/debug/retrieval",requireAdmin("debug"),async (req,res)=>{
+  const q=String(req.query.q||"").trim();
+  if(!q) return sendError(res,codedError("bad_request","q is required"),"Debug retrieval");
+  const lang=LANGS.includes(req.query.lang)?req.query.lang:"en", tz=validTimeZone(req.query.tz)? req.query.tz : BOOKING.tz;
+  const session=SESSIONS.get(req.query.sessionId), index=INDEX;
+  const query=session? retrievalQuery(session,q) : q;
+  try{
+    const { ctx, sources, trace }=await retrieve(index,query,lang,{ explain:true });
+    const prompt=systemPrompt({ lang, ctx, tz, bookingMinutes:BOOKINGS?BOOKING.slotMinutes:0, summary:session?.summary, quote:session?quoteState(session):"" });
+    res.json({ ok:true, query, lang, indexVersion:index.version, session:session?.id||null, contextChars:ctx.length, maxContext:RETRIEVAL.maxContext, ...trace, sources, prompt });
+  }catch(e){ sendError(res,e,"Debug retrieval"); }
 });
 
 // ----- Health / Status / Reindex -----
 app.get("/health",(_req,res)=>res.json({ok:true}));
-app.get("/kb-status",(_req,res)=>{ const embedded=KB.filter(x=>Array.isArray(x.vec)).length; res.json({chunks:KB.length, embedded, vocab:VOCAB_IDF.size}); });
-app.post("/reindex",async (_req,res)=>{ res.json({ok:true,msg:"Re-crawling started"}); crawl().catch(e=>console.log("reindex error",e?.message||String(e))); });
+app.get("/kb-status",requireAdmin("status"),(_req,res)=>{
+  const { version, kb, sparse, pages, crawlStartedAt, crawlFinishedAt }=INDEX;
+  const embedded=kb.filter(x=>Array.isArray(x.vec)).length;
+  const langs={}; for(const d of kb) langs[d.lang]=(langs[d.lang]||0)+1;
+  const { running, ...build }=BUILD;
+  res.json({version, chunks:kb.length, embedded, vocab:sparse.vocab, vectors:INDEX.vectors.stats(), pages:pages.size, langs, crawlStartedAt, crawlFinishedAt, build:{ running:!!running, ...build }, sessions:SESSIONS.size, providers:{ chat:llm.describe(), embeddings:embedder.describe() }, cache:{ embeddings:EMBEDDINGS.stats(), answers:ANSWERS.stats() }, budget:BUDGET.status()});
+});
+// ?full=1 ignores validators and cached vectors; ?wait=1 answers with the change summary once done.
+app.post("/reindex",requireAdmin("reindex"),async (req,res)=>{
+  if(BUILD.running) return res.status(409).json({ok:false,msg:"Reindex already running",phase:BUILD.phase,startedAt:BUILD.startedAt});
+  console.log("🔁 Reindex requested by", req.admin.name+(req.query.full==="1"?" (full)":""));
+  const run=crawl({ full:req.query.full==="1" });
+  if(req.query.wait!=="1"){
+    res.json({ok:true,msg:"Re-crawling started"});
+    return run.catch(()=>{});   // failure is logged and kept in BUILD.lastError
+  }
+  try{ const next=await run; res.json({ok:true,version:next.version,summary:next.summary}); }
+  catch(e){ res.status(500).json({ok:false,msg:"Reindex failed",error:BUILD.lastError}); }
+});
 
 // ----- UI (safe join; iOS fixes) -----
 app.get("/",(_q,res)=>{
@@ -198,10 +890,18 @@ app.get("/",(_q,res)=>{
     '#log{padding:14px;display:flex;flex-direction:column;gap:10px;overflow:auto;-webkit-overflow-scrolling:touch}',
     '.msg{max-width:82%;padding:9px 12px;border-radius:12px;line-height:1.45;word-wrap:break-word}.user{margin-left:auto;background:#1b2330}.bot{margin-right:auto;background:#0f1723;border:1px solid #1f2937}',
     '.muted{color:var(--muted);font-size:12px;padding:0 2px}',
+    // Source chips under bot answers
+    '.chips{display:flex;flex-wrap:wrap;gap:6px;max-width:82%;margin-top:-4px}',
+    '.chip{max-width:100%;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;font-size:12px;padding:4px 9px;border-radius:999px;border:1px solid #2a3344;background:#0f1320;color:#bae6fd;text-decoration:none}.chip:hover{border-color:var(--brand)}.chip.related{color:var(--muted)}',
     'form{display:flex;gap:8px;padding:12px;border-top:1px solid #1f2430}',
     // Critical: 16px font-size stops iOS focus zoom
     'input[type="text"]{flex:1;background:#0f1320;color:#fff;border:1px solid #22283a;border-radius:10px;padding:12px 14px;outline:none;min-height:44px;font-size:16px}',
     'button{background:var(--brand);color:#fff;border:none;border-radius:10px;padding:0 16px;font-size:20px;cursor:pointer;min-height:44px;min-width:48px}',
+    // Handoff button + lead form (inputs stay 16px for iOS)
+    'header .right{display:flex;align-items:center;gap:8px} header button{background:transparent;border:1px solid #2a3344;font-size:16px;min-height:34px;min-width:38px;padding:0 8px}',
+    '#log form.lead{flex-direction:column;margin-right:auto;width:88%;background:#0f1723;border:1px solid #1f2937;border-radius:12px;padding:10px}',
+    '.lead input,.lead textarea{background:#0f1320;color:#fff;border:1px solid #22283a;border-radius:10px;padding:10px 12px;font:inherit;font-size:16px;outline:none;resize:vertical}',
+    '.lead button{font-size:15px}.lead .err{color:#fca5a5;font-size:12px}',
     // Mobile bottom sheet
     '@media (max-width:540px){',
     ' #panel{left:0;right:0;bottom:0;width:100vw;border-radius:16px 16px 0 0;max-height:75vh}',
@@ -216,9 +916,10 @@ app.get("/",(_q,res)=>{
     '<div id="chat-launcher" title="SODERBOT">💬</div>',
     '<div id="panel" role="dialog" aria-label="SODERBOT chat">',
     ' <header><div class="left"><div class="dot"></div><h1>SODERBOT</h1></div>',
-    ' <select id="lang" aria-label="Language"><option value="en">English</option><option value="fi">Suomi</option><option value="sv">Svenska</option></select></header>',
+    ' <div class="right"><button id="human" type="button" title="Talk to a human" aria-label="Talk to a human">👤</button>',
+    ' <select id="lang" aria-label="Language"><option value="en">English</option><option value="fi">Suomi</option><option value="sv">Svenska</option></select></div></header>',
     ' <div id="log" aria-live="polite"></div>',
-    ' <form id="f" autocomplete="off"><input id="q" type="text" placeholder="Ask something…" inputmode="text"/><button type="submit" title="Send">➤</button></form>',
+    ' <form id="f" autocomplete="off"><input id="q" type="text" placeholder="Ask something…" inputmode="text" maxlength="'+LIMITS.messageChars+'"/><button type="submit" title="Send">➤</button></form>',
     '</div>',
     '<script>',
     // 1) Robust viewport handling + keyboard lift using VisualViewport
@@ -241,22 +942,79 @@ app.get("/",(_q,res)=>{
     'setTimeout(applyViewportOffsets,100);',
     // 2) Chat behavior; hide launcher while open (prevents overlap)
     'var $panel=document.getElementById("panel"),$launch=document.getElementById("chat-launcher"),$log=document.getElementById("log"),$form=document.getElementById("f"),$q=document.getElementById("q"),$lang=document.getElementById("lang");',
-    'function add(role,text){var d=document.createElement("div");d.className="msg "+(role==="user"?"user":"bot");d.innerHTML=(text||"").replace(/\\n/g,"<br>");$log.appendChild(d);$log.scrollTop=$log.scrollHeight;}',
+    // Replies echo visitor input and crawled page text: always set as text, lines joined with <br> elements.
+    'function setText(d,text){d.textContent="";(text||"").split("\\n").forEach(function(line,i){if(i)d.appendChild(document.createElement("br"));d.appendChild(document.createTextNode(line));});}',
+    'function add(role,text){var d=document.createElement("div");d.className="msg "+(role==="user"?"user":"bot");setText(d,text);$log.appendChild(d);$log.scrollTop=$log.scrollHeight;return d;}',
+    // The handoff marker (and a half-streamed one) is never shown
+    'function render(d,text){setText(d,(text||"").replace(/\\s*\\[\\[handoff\\]\\]/gi,"").replace(/\\s*\\[\\[?[a-z]*\\]?$/i,""));$log.scrollTop=$log.scrollHeight;}',
+    'function unmute(){var m=document.querySelector(".muted:last-child"); if(m) m.remove();}',
+    // Cited sources as chips (one per page); when nothing was cited, the top retrieved pages are shown as related
+    'function addSources(sources,cited){',
+    ' sources=sources||[]; cited=cited||[]; var list=sources.filter(function(s){ return cited.indexOf(s.id)>=0; }), related=!list.length;',
+    ' if(related) list=sources.slice(0,3); var seen={}, box=document.createElement("div"); box.className="chips";',
+    ' list.forEach(function(s){ if(seen[s.url]) return; seen[s.url]=1;',
+    '  var a=document.createElement("a"); a.className="chip"+(related?" related":""); a.href=s.url; a.target="_blank"; a.rel="noopener";',
+    '  a.textContent=(related?"":"["+s.id+"] ")+(s.title||s.url)+(s.section?" — "+s.section:""); a.title=s.snippet||s.url; box.appendChild(a); });',
+    ' if(box.childNodes.length){ $log.appendChild(box); $log.scrollTop=$log.scrollHeight; }',
+    '}',
     'function addMuted(t){var p=document.createElement("div");p.className="muted";p.textContent=t;$log.appendChild(p);$log.scrollTop=$log.scrollHeight;}',
     'function openPanel(){ $panel.style.display="flex"; $launch.style.opacity="0"; $launch.style.pointerEvents="none"; setTimeout(function(){ $q.focus(); $log.scrollTop=$log.scrollHeight; applyViewportOffsets(); },60); }',
-    'function closePanel(){ $panel.style.display="none"; $launch.style.opacity="1"; $launch.style.pointerEvents="auto"; }',
+    'var pending=null;', // AbortController of the answer being streamed; closing the panel stops it
+    'function closePanel(){ $panel.style.display="none"; $launch.style.opacity="1"; $launch.style.pointerEvents="auto"; if(pending) pending.abort(); }',
     '$launch.onclick=function(){ if($panel.style.display==="flex"){ closePanel(); } else { openPanel(); } };',
     '["resize","orientationchange"].forEach(function(evt){ window.addEventListener(evt,function(){ $log.scrollTop=$log.scrollHeight; },{passive:true}); });',
     '$q.addEventListener("focus",function(){ setTimeout(function(){ $log.scrollTop=$log.scrollHeight; applyViewportOffsets(); },150); });',
-    // 3) Form submit
+    // Session id survives reloads within the tab; the server issues a new one when it has expired
+    'var sid=null; try{ sid=sessionStorage.getItem("soderbot-session"); }catch(e){}',
+    'function keepSession(id){ if(!id) return; sid=id; try{ sessionStorage.setItem("soderbot-session",id); }catch(e){} }',
+    'var tz=""; try{ tz=Intl.DateTimeFormat().resolvedOptions().timeZone||""; }catch(e){}', // booking times are shown in this zone
+    // Human handoff: contact form inside the log; the server attaches this session's transcript
+    'function field(f,name,type,ph,ac){ var i=document.createElement(type==="textarea"?"textarea":"input"); if(type==="textarea") i.rows=3; else i.type=type; i.name=name; i.placeholder=ph; if(ac) i.autocomplete=ac; f.appendChild(i); return i; }',
+    'function showLeadForm(){',
+    ' var old=document.getElementById("lead"); if(old){ old.scrollIntoView({block:"nearest"}); return; }',
+    ' var f=document.createElement("form"); f.id="lead"; f.className="lead"; f.noValidate=true;',
+    ' var intro=document.createElement("div"); intro.className="muted"; intro.textContent="Leave your details and our team will get back to you. This conversation is attached."; f.appendChild(intro);',
+    ' var first=field(f,"name","text","Name *","name"); field(f,"email","email","Email","email"); field(f,"phone","tel","Phone","tel"); field(f,"company","text","Company","organization"); field(f,"question","textarea","What can we help you with?");',
+    ' var err=document.createElement("div"); err.className="err"; f.appendChild(err);',
+    ' var b=document.createElement("button"); b.type="submit"; b.textContent="Send to our team"; f.appendChild(b);',
+    ' f.addEventListener("submit",async function(e){',
+    '  e.preventDefault(); var body={sessionId:sid,lang:$lang.value}; Array.prototype.forEach.call(f.elements,function(i){ if(i.name) body[i.name]=i.value.trim(); });',
+    '  b.disabled=true; err.textContent="";',
+    '  try{',
+    '   var r=await fetch("/handoff",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(body)}); var data=await r.json();',
+    '   if(!r.ok){ err.textContent=(data.errors||[data.msg||"Could not send"]).join(" · "); b.disabled=false; return; }',
+    '   f.remove(); add("assistant","Thanks! Our team has your details and will contact you soon.");',
+    '  }catch(x){ err.textContent="Could not send — please try again."; b.disabled=false; }',
+    ' });',
+    ' $log.appendChild(f); $log.scrollTop=$log.scrollHeight; setTimeout(function(){ first.focus(); },60);',
+    '}',
+    'document.getElementById("human").onclick=showLeadForm;',
+    // 3) Form submit; the answer streams in over SSE (fetch + reader, since EventSource cannot POST)
+    'function handle(block,st){',
+    ' var ev="message",data=""; block.split("\\n").forEach(function(l){ if(l.indexOf("event: ")===0) ev=l.slice(7); else if(l.indexOf("data: ")===0) data+=l.slice(6); });',
+    ' var d=data?JSON.parse(data):{}; keepSession(d.sessionId);',
+    ' if(ev==="error"){ st.error=d.message; throw new Error(d.code||"stream error"); }',
+    ' if(ev==="retrieval") st.sources=d.sources;',
+    ' if(ev!=="delta" && ev!=="done") return;',
+    ' if(!st.bot){ unmute(); st.bot=add("assistant",""); }',
+    ' if(ev==="delta"){ st.text+=d.text; render(st.bot,st.text); } else { render(st.bot,d.reply||st.text||"(no answer)"); addSources(st.sources,d.cited); if(d.handoff) showLeadForm(); }',
+    '}',
     '$form.addEventListener("submit",async function(e){',
     ' e.preventDefault(); var text=$q.value.trim(); if(!text) return;',
+    ' if(pending) pending.abort();',
     ' $q.value=""; add("user",text); addMuted("Thinking…");',
+    ' var ac=new AbortController(), st={bot:null,text:"",sources:[]}; pending=ac;',
     ' try{',
-    '  var r=await fetch("/chat",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({message:text,lang:$lang.value})});',
-    '  var data=await r.json(); var m=document.querySelector(".muted:last-child"); if(m) m.remove();',
-    '  add("assistant",data.reply||"(no answer)"); $log.scrollTop=$log.scrollHeight;',
-    ' }catch(err){ var m2=document.querySelector(".muted:last-child"); if(m2) m2.remove(); add("assistant","Sorry — server error."); }',
+    '  var r=await fetch("/chat/stream",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({message:text,lang:$lang.value,sessionId:sid,tz:tz}),signal:ac.signal});',
+    '  if(!r.ok){ var j=await r.json().catch(function(){ return {}; }); st.error=j.msg; throw new Error(j.code||"HTTP "+r.status); }',
+    '  var reader=r.body.getReader(), dec=new TextDecoder(), buf="";',
+    '  for(;;){',
+    '   var c=await reader.read(); if(c.done) break;',
+    '   buf+=dec.decode(c.value,{stream:true}); var parts=buf.split("\\n\\n"); buf=parts.pop();',
+    '   parts.forEach(function(b){ handle(b,st); });',
+    '  }',
+    ' }catch(err){ unmute(); if(!ac.signal.aborted) add("assistant",st.error||"Sorry — server error."); }',
+    ' finally{ if(pending===ac) pending=null; }',
     '});',
     '</script>',
     '</body></html>'
@@ -267,7 +1025,20 @@ app.get("/",(_q,res)=>{
 
 // ----- Start -----
 (async function main(){
-  try{ await crawl(); console.log("✅ Knowledge built"); }
-  catch(e){ console.log("⚠️ Crawl error:", e?.message||String(e)); }
+  try{ await BUDGET.load(USAGE_FILE); }
+  catch(e){ console.log("⚠️ Usage file unreadable, budget starts from zero:", e?.message||String(e)); }
+  try{ const n=await LEADS.load(); if(n) console.log("📇 Leads loaded:", n); }
+  catch(e){ console.log("⚠️ Lead store unreadable:", e?.message||String(e)); }
+  try{ await WEBHOOKS.start(); }
+  catch(e){ console.log("⚠️ Webhooks not started:", e?.message||String(e)); }
+  const stale=await restoreSnapshot();
+  if(stale && !INDEX.kb.length){
+    // Nothing to serve yet: build before accepting chats, as before.
+    try{ await crawl(); console.log("✅ Knowledge built"); }
+    catch(e){ console.log("⚠️ Crawl error:", e?.message||String(e)); }
+  }else if(stale){
+    console.log("🔄 Refreshing KB in background:", stale);
+    crawl().then(()=>console.log("✅ Knowledge refreshed")).catch(()=>{});
+  }else scheduleReindex();
   app.listen(PORT, ()=>console.log("✅ SODERBOT running on http://localhost:"+PORT));
 })();
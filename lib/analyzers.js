@@ -0,0 +1,96 @@
+/**
+ * Per-language analyzers for sparse retrieval (en, fi, sv)
+ * - Unicode word split, lowercase, stopwords dropped
+ * - Light suffix stemmers (in the spirit of Lucene's *LightStemmer): plural/case endings, not full morphology
+ * - Finnish and Swedish compounds are split on a small domain lexicon; the whole word is kept next to its parts
+ * The same analyzer must run at index and query time; pick it by the chunk's and the query's language.
+ */
+
+export const ANALYZER_LANGS = ["en","fi","sv"];
+
+const STOPWORDS = {
+  en:"a about above after again against all am an and any are as at be because been before being below between both but by can could did do does doing down during each few for from further had has have having he her here hers herself him himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or other our ours ourselves out over own same she should so some such than that the their theirs them themselves then there these they this those through to too under until up very was we were what when where which while who whom why will with would you your yours yourself yourselves",
+  fi:"ja tai mutta että jos kun koska kuin niin myös vain sekä eli ei en et emme ette eivät ole olen olet on olemme olette ovat oli olivat olla ollut olleet se sen sitä siitä siihen sillä siinä ne niiden niitä niistä niihin tämä tämän tätä tästä tähän tällä tässä nämä näiden näitä näistä tuo tuon tuota nuo minä minun minua minulle sinä sinun sinua hän hänen häntä me meidän meitä meille te teidän teitä he heidän heitä heille mikä mitä mistä mihin millä missä mitkä kuka ketkä joka jotka jonka joita jota mukaan kanssa ennen jälkeen yli alle kautta vielä jo nyt sitten täällä siellä voi voit voimme voivat kaikki paljon",
+  sv:"och i att det som en på är av för med till den har de inte om ett han men var jag sig från vi så kan man när år säger hon nu efter under också eller där vid mot då sina hos skulle två dem kunde här bara än dig mig sin alla mycket över ska blev vara vad få sedan denna dessa detta era ert ditt din dina hans hennes hur ingen inom mellan min mina mitt nej någon något några oss samma sådan utan vår våra vårt vem vilka vilken vilket åt"
+};
+const STOP = Object.fromEntries(Object.entries(STOPWORDS).map(([l,s])=>[l,new Set(s.split(" "))]));
+
+// ----- Stemmers -----
+function stemEn(w){
+  if(w.length<=3) return w;
+  if(w.endsWith("'s")||w.endsWith("’s")) w=w.slice(0,-2);
+  if(w.endsWith("ies") && w.length>4) w=w.slice(0,-3)+"y";
+  else if(/(?:ss|sh|ch|x|z)es$/.test(w)) w=w.slice(0,-2);
+  else if(w.endsWith("s") && !/(?:ss|us|is)$/.test(w)) w=w.slice(0,-1);
+  const m=w.match(/^(.{3,}?)(?:ingly|edly|ing|ed|ly)$/);
+  if(m && /[aeiouy]/.test(m[1])){ w=m[1]; if(/([^aeiouylsz])\1$/.test(w)) w=w.slice(0,-1); }
+  // Final e goes, so "produce", "produced" and "producing" meet at "produc" and "hire" meets "hiring" at "hir".
+  return w.length>3 && w.endsWith("e")? w.slice(0,-1) : w;
+}
+
+const FI_CLITICS = ["kaan","kään","kin","ko","kö"];
+const FI_POSSESSIVES = ["mme","nne","nsa","nsä"];
+const FI_ENDINGS = ["iksi","ista","istä","issa","issä","illa","illä","ilta","iltä","ille","ihin","itta","ittä","tten","ssa","ssä","sta","stä","lla","llä","lta","ltä","lle","ksi","tta","ttä","den","jen","ien","ita","itä","na","nä","ja","jä","ta","tä","in","a","ä","n","t"];
+function strip(w, list, min){ for(const s of list) if(w.endsWith(s) && w.length-s.length>=min) return w.slice(0,-s.length); return w; }
+function stemFi(w){
+  if(w.length<=4) return w;
+  w=strip(w,FI_CLITICS,4); w=strip(w,FI_POSSESSIVES,4); w=strip(w,FI_ENDINGS,4);
+  // Illative "videoon" / "taloon": a doubled final vowel is folded.
+  return w.replace(/([aeiouyäö])\1$/,"$1");
+}
+
+// Longest first; one pass, leaving at least SV_MIN_STEM letters ("drönare" → "drön", not "drö").
+const SV_ENDINGS = ["elser","heten","arnas","ernas","ornas","andes","arens","andet","arna","erna","orna","ande","aste","aren","ades","erns","are","ast","het","ar","er","or","en","at","te","et","t","a","e","n"];
+const SV_MIN_STEM = 3;
+function stemSv(w){
+  if(w.length>4 && w.endsWith("s")) w=w.slice(0,-1);
+  // The -st of "tjänst" and the -n of "produktion" belong to the stem, so "tjänsten" meets "tjänst" and "produktionen" "produktion".
+  if(/(?:[^a]st|ion)$/.test(w)) return w;
+  return strip(w,SV_ENDINGS,SV_MIN_STEM);
+}
+const STEMMERS = { en:stemEn, fi:stemFi, sv:stemSv };
+export function stem(word, lang="en"){ return (STEMMERS[lang]||stemEn)(word); }
+
+// ----- Compounds -----
+// Words of the film/video trade that commonly start or end a compound. Longer parts are tried first.
+const LEXICON = {
+  fi:"video tuotanto tuotantoyhtiö yhtiö kuvaus kuvaaja kuva drooni ilma elokuva mainos yritys tapahtuma striimaus suoratoisto lähetys musiikki animaatio dokumentti leikkaus editointi jälki kamera valo ääni some media esittely koulutus rekry juhla konferenssi messu tuote palvelu hinta projekti käsikirjoitus ohjaus grafiikka väri määrittely lento lupa verkko sivu asiakas case brändi henkilöstö",
+  sv:"video produktion produktionsbolag bolag filmning film filmare bild drönare flyg reklam företag evenemang livesändning sändning musik animation dokumentär redigering efter kamera ljus ljud sociala media presentation utbildning rekrytering fest konferens mässa produkt tjänst pris projekt manus regi grafik färg sättning tillstånd webb sida kund varumärke personal"
+};
+const LEX = Object.fromEntries(Object.entries(LEXICON).map(([l,s])=>{ const words=s.split(" "); return [l,{ words:new Set(words), stems:new Set(words.map(w=>stem(w,l))) }]; }));
+const MIN_PART = 3;
+
+// Swedish compound heads take a linking -s- ("företagsfilm") or drop a final -e ("drönarfilmning").
+function swedishHead(lex, head){
+  if(head.endsWith("s") && lex.words.has(head.slice(0,-1))) return head.slice(0,-1);
+  if(lex.words.has(head+"e")) return head+"e";
+  return null;
+}
+// "videotuotantoa" → ["video","tuotantoa"]; "företagsfilm" → ["företag","film"] (Swedish linking -s-). null when not a known compound.
+export function splitCompound(word, lang){
+  const lex=LEX[lang]; if(!lex || word.length<MIN_PART*2) return null;
+  const last=w=>lex.words.has(w) || lex.stems.has(stem(w,lang));
+  function split(w){
+    for(let i=w.length-MIN_PART;i>=MIN_PART;i--){
+      const head=w.slice(0,i), rest=w.slice(i);
+      const known=lex.words.has(head)? head : lang==="sv"? swedishHead(lex,head) : null;
+      if(!known) continue;
+      if(last(rest)) return [known,rest];
+      const tail=split(rest); if(tail) return [known,...tail];
+    }
+    return null;
+  }
+  return split(word);
+}
+
+// text → terms for the index or a query
+export function analyze(text, lang="en"){
+  const l=ANALYZER_LANGS.includes(lang)? lang : "en", stop=STOP[l], out=[];
+  for(const w of String(text||"").normalize("NFC").toLowerCase().split(/[^\p{L}\p{N}]+/u)){
+    if(w.length<2 || stop.has(w)) continue;
+    out.push(stem(w,l));
+    const parts=l!=="en" && splitCompound(w,l);
+    if(parts) for(const p of parts) out.push(stem(p,l));
+  }
+  return out;
+}
@@ -0,0 +1,86 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+/**
+ * Access control
+ * - Admin API tokens with scopes, kept only as SHA-256 hashes: [{ name, hash:"sha256:<hex>", scopes:["status",…]|["*"] }]
+ *   (ADMIN_TOKENS / ADMIN_TOKENS_FILE); a plain ADMIN_TOKEN is still accepted and holds every scope
+ * - requireScope(scope?) → Express middleware: 503 without any token configured, 401 without a valid Bearer token, 403 without the scope
+ * - Browser origin allowlist for CORS: exact origins or "https://*.example.com"; "*" allows any origin;
+ *   requireAllowedOrigin(policy) refuses other sites' requests with 403 before any work is done
+ */
+
+export const SCOPES = ["status","reindex","debug","leads","bookings","webhooks"];
+
+export function hashToken(token){ return "sha256:"+createHash("sha256").update(String(token)).digest("hex"); }
+
+// Accepts the parsed ADMIN_TOKENS setting; invalid entries are reported and skipped.
+export function parseTokens(list){
+  const out=[], errors=[];
+  for(const [i,t] of (Array.isArray(list)?list:[]).entries()){
+    const name=String(t?.name||"token #"+(i+1));
+    const hash=String(t?.hash||"").toLowerCase().replace(/^(?!sha256:)/,"sha256:");
+    if(!/^sha256:[0-9a-f]{64}$/.test(hash)){ errors.push("admin token '"+name+"': hash must be sha256 hex (node scripts/admin-token.js makes one)"); continue; }
+    const scopes=Array.isArray(t.scopes)&&t.scopes.length? t.scopes.map(String) : [];
+    const unknown=scopes.filter(s=>s!=="*" && !SCOPES.includes(s));
+    if(!scopes.length){ errors.push("admin token '"+name+"': no scopes"); continue; }
+    if(unknown.length) errors.push("admin token '"+name+"': unknown scopes "+unknown.join(", "));
+    out.push({ name, hash:Buffer.from(hash.slice(7),"hex"), scopes:new Set(scopes) });
+  }
+  return { tokens:out, errors };
+}
+
+/**
+ * tokens: parseTokens().tokens; legacyToken: plain ADMIN_TOKEN (all scopes).
+ * Sets req.admin = { name, scopes:[…] } for the handlers.
+ */
+export function createAdminAuth({ tokens=[], legacyToken="" }={}){
+  const all=[...tokens, ...(legacyToken? [{ name:"ADMIN_TOKEN", hash:Buffer.from(hashToken(legacyToken).slice(7),"hex"), scopes:new Set(["*"]) }] : [])];
+  // Every configured hash is compared, so the time taken does not depend on which (if any) matched.
+  function identify(token){
+    const h=createHash("sha256").update(token).digest(); let found=null;
+    for(const t of all) if(timingSafeEqual(h,t.hash) && !found) found=t;
+    return found;
+  }
+  function requireScope(scope){
+    return (req,res,next)=>{
+      if(!all.length) return res.status(503).json({ ok:false, code:"admin_disabled", msg:"Admin API disabled (set ADMIN_TOKENS or ADMIN_TOKEN)" });
+      const token=(req.get("authorization")||"").replace(/^Bearer\s+/i,"");
+      const t=token && identify(token);
+      if(!t){ res.set("WWW-Authenticate","Bearer"); return res.status(401).json({ ok:false, code:"unauthorized", msg:"Unauthorized" }); }
+      if(scope && !t.scopes.has("*") && !t.scopes.has(scope)) return res.status(403).json({ ok:false, code:"forbidden", msg:"Token lacks the '"+scope+"' scope" });
+      req.admin={ name:t.name, scopes:[...t.scopes] };
+      next();
+    };
+  }
+  return { requireScope, get enabled(){ return all.length>0; }, describe:()=>all.map(t=>({ name:t.name, scopes:[...t.scopes] })) };
+}
+
+// ----- CORS -----
+// list: ["https://www.example.com", "https://*.example.com", "*"]. allowed(origin) → boolean; unparseable entries end up in `invalid`.
+export function createOriginPolicy(list){
+  const any=list.includes("*");
+  const exact=new Set(), patterns=[], invalid=[];
+  for(const o of list){
+    if(o==="*") continue;
+    const m=o.match(/^(https?):\/\/\*\.(.+)$/);
+    if(m) patterns.push({ protocol:m[1]+":", suffix:"."+m[2].toLowerCase() });
+    else{ try{ exact.add(new URL(o).origin); }catch{ invalid.push(o); } }
+  }
+  function allowed(origin){
+    if(any) return true;
+    let u; try{ u=new URL(origin); }catch{ return false; }
+    return exact.has(u.origin) || patterns.some(p=>u.protocol===p.protocol && u.host.endsWith(p.suffix));
+  }
+  return { allowed, any, invalid, origins:[...exact, ...patterns.map(p=>p.protocol+"//*"+p.suffix)] };
+}
+
+// CORS only stops the browser from reading the answer; requests from other sites' pages are refused before doing any work.
+// No Origin (curl, server to server), preflights and this server's own pages (the demo widget) pass.
+export function requireAllowedOrigin(policy){
+  return (req,res,next)=>{
+    const origin=req.get("origin");
+    if(!origin || req.method==="OPTIONS" || policy.allowed(origin) || sameHost(origin,req.get("host"))) return next();
+    res.status(403).json({ ok:false, code:"forbidden_origin", msg:"Origin not allowed" });
+  };
+}
+function sameHost(origin, host){ try{ return new URL(origin).host===host; }catch{ return false; } }
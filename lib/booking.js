@@ -0,0 +1,323 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Consultation booking
+ * - Busy time comes from an ICS source (local file or URL, e.g. a calendar export) plus our own bookings file
+ * - ICS: UTC, TZID and floating times, all-day dates, DURATION, RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with
+ *   INTERVAL, COUNT, UNTIL, BYDAY), EXDATE, RECURRENCE-ID overrides; cancelled and transparent events are free
+ * - Slots are working hours (in the team's time zone) minus busy time, labelled in the visitor's time zone
+ * - Reservations are written back to an ICS file; an in-process mutex plus a lock file stop double booking
+ */
+
+const LOCALES = { en:"en-GB", fi:"fi-FI", sv:"sv-SE" };
+const WEEKDAYS = ["SU","MO","TU","WE","TH","FR","SA"];
+const SOURCE_TTL_MS = 5*60e3;
+const LOCK_STALE_MS = 30e3, LOCK_WAIT_MS = 5e3;
+const DAY_MS = 864e5;
+
+const sleep=ms=>new Promise(r=>setTimeout(r,ms));
+
+export const BOOKING_TOOLS = [
+  { type:"function", function:{
+    name:"find_consultation_slots",
+    description:"List free times for a consultation call with our team. Times are labelled in the visitor's time zone.",
+    parameters:{ type:"object", additionalProperties:false, properties:{
+      from:{ type:"string", description:"Earliest day the visitor wants, YYYY-MM-DD" },
+      partOfDay:{ type:"string", enum:["morning","afternoon"] }
+    } }
+  } },
+  { type:"function", function:{
+    name:"book_consultation",
+    description:"Reserve one of the offered slots. Needs the visitor's name and an email or phone number.",
+    parameters:{ type:"object", additionalProperties:false, required:["start","name"], properties:{
+      start:{ type:"string", description:"The slot's start exactly as returned by find_consultation_slots" },
+      name:{ type:"string" }, email:{ type:"string" }, phone:{ type:"string" }, company:{ type:"string" },
+      topic:{ type:"string", description:"What the visitor wants to discuss" }
+    } }
+  } }
+];
+
+// ----- Time zones (Intl only, no tz database dependency) -----
+const DTF=new Map();
+function dtf(tz){
+  if(!DTF.has(tz)) DTF.set(tz,new Intl.DateTimeFormat("en-US",{ timeZone:tz, hourCycle:"h23", year:"numeric", month:"numeric", day:"numeric", hour:"numeric", minute:"numeric", second:"numeric" }));
+  return DTF.get(tz);
+}
+export function validTimeZone(tz){ try{ return !!tz && !!dtf(tz); }catch{ return false; } }
+function wall(ms, tz){
+  const p={}; for(const x of dtf(tz).formatToParts(new Date(ms))) p[x.type]=Number(x.value);
+  return { y:p.year, m:p.month, d:p.day, h:p.hour, mi:p.minute, s:p.second };
+}
+function tzOffset(ms, tz){ const w=wall(ms,tz); return Date.UTC(w.y,w.m-1,w.d,w.h,w.mi,w.s)-Math.floor(ms/1000)*1000; }
+// Wall-clock time in `tz` → UTC ms. Re-checks the offset once so DST transitions land on the right side.
+export function zonedToUtc(y, m, d, h=0, mi=0, s=0, tz="UTC"){
+  const guess=Date.UTC(y,m-1,d,h,mi,s);
+  let ms=guess-tzOffset(guess,tz);
+  const again=guess-tzOffset(ms,tz);
+  if(again!==ms) ms=again;
+  return ms;
+}
+export function formatSlot(ms, tz, lang="en"){
+  return new Intl.DateTimeFormat(LOCALES[lang]||"en-GB",{ timeZone:tz, weekday:"short", day:"numeric", month:"short", hour:"2-digit", minute:"2-digit" }).format(new Date(ms));
+}
+
+// ----- ICS parsing -----
+function unescapeText(v){ return v.replace(/\\n/gi,"\n").replace(/\\([,;\\])/g,"$1"); }
+function escapeText(v){ return String(v??"").replace(/\\/g,"\\\\").replace(/[,;]/g,"\\$&").replace(/\r?\n/g,"\\n"); }
+
+function parseLine(line){
+  const m=line.match(/^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if(!m) return null;
+  const params={};
+  for(const p of m[2].matchAll(/;([^:;=]+)=("[^"]*"|[^:;]*)/g)) params[p[1].toUpperCase()]=p[2].replace(/^"|"$/g,"");
+  return { name:m[1].toUpperCase(), params, value:m[3] };
+}
+// DATE-TIME / DATE value → { ms, allDay } (floating times use the calendar's zone)
+function parseDate(value, params, defaultTz){
+  const m=String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if(!m) return null;
+  const [y,mo,d]=[m[1],m[2],m[3]].map(Number);
+  if(!m[4] || params.VALUE==="DATE") return { ms:zonedToUtc(y,mo,d,0,0,0,defaultTz), allDay:true, tz:defaultTz, wall:{ h:0, mi:0, s:0 } };
+  const [h,mi,s]=[m[4],m[5],m[6]].map(Number);
+  if(m[7]) return { ms:Date.UTC(y,mo-1,d,h,mi,s), allDay:false, tz:"UTC", wall:{ h, mi, s } };
+  const tz=validTimeZone(params.TZID)? params.TZID : defaultTz;
+  return { ms:zonedToUtc(y,mo,d,h,mi,s,tz), allDay:false, tz, wall:{ h, mi, s } };
+}
+function parseDuration(v){
+  const m=String(v).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if(!m) return null;
+  const ms=(((Number(m[2]||0)*7+Number(m[3]||0))*24+Number(m[4]||0))*60+Number(m[5]||0))*60e3+Number(m[6]||0)*1000;
+  return m[1]==="-"? -ms : ms;
+}
+function parseRrule(v){
+  const r={}; for(const part of v.split(";")){ const [k,val]=part.split("="); if(k && val) r[k.toUpperCase()]=val; }
+  return {
+    freq:r.FREQ, interval:Math.max(1,Number(r.INTERVAL)||1), count:r.COUNT?Number(r.COUNT):null, until:r.UNTIL||null,
+    byday:r.BYDAY? r.BYDAY.split(",").map(d=>d.slice(-2).toUpperCase()) : null
+  };
+}
+
+// Returns [{ uid, summary, description, start, end, allDay, tz, wall, rrule, exdates:Set, recurrenceId, status, transparent, raw }]
+export function parseIcs(text, defaultTz="UTC"){
+  const lines=String(text).replace(/\r?\n[ \t]/g,"").split(/\r?\n/);
+  const calTz=lines.map(l=>l.match(/^X-WR-TIMEZONE:(.+)$/i)?.[1]?.trim()).find(validTimeZone)||defaultTz;
+  const events=[]; let ev=null, depth=0;
+  for(const line of lines){
+    if(/^BEGIN:VEVENT$/i.test(line)){ ev={ exdates:new Set(), raw:[] }; depth=0; continue; }
+    if(!ev) continue;
+    if(/^BEGIN:/i.test(line)){ depth++; continue; }          // VALARM etc.
+    if(/^END:VEVENT$/i.test(line)){ if(ev.start) events.push(finish(ev)); ev=null; continue; }
+    if(/^END:/i.test(line)){ depth--; continue; }
+    if(depth>0) continue;
+    ev.raw.push(line);
+    const p=parseLine(line); if(!p) continue;
+    switch(p.name){
+      case "UID": ev.uid=p.value.trim(); break;
+      case "SUMMARY": ev.summary=unescapeText(p.value); break;
+      case "DESCRIPTION": ev.description=unescapeText(p.value); break;
+      case "DTSTART": ev.start=parseDate(p.value,p.params,calTz); break;
+      case "DTEND": ev.endDate=parseDate(p.value,p.params,calTz); break;
+      case "DURATION": ev.duration=parseDuration(p.value); break;
+      case "RRULE": ev.rrule=parseRrule(p.value); break;
+      case "EXDATE": for(const v of p.value.split(",")){ const d=parseDate(v,p.params,calTz); if(d) ev.exdates.add(d.ms); } break;
+      case "RECURRENCE-ID": ev.recurrenceId=parseDate(p.value,p.params,calTz)?.ms; break;
+      case "STATUS": ev.status=p.value.trim().toUpperCase(); break;
+      case "TRANSP": ev.transparent=/^TRANSPARENT$/i.test(p.value.trim()); break;
+    }
+  }
+  return events;
+
+  function finish(e){
+    const s=e.start; if(!s) return e;
+    const length=e.endDate? e.endDate.ms-s.ms : e.duration ?? (s.allDay? DAY_MS : 0);
+    return { ...e, start:s.ms, end:s.ms+Math.max(0,length), allDay:s.allDay, tz:s.tz, wall:s.wall, endDate:undefined };
+  }
+}
+
+// Occurrence start times of a recurring event within [from, to). Walks the calendar day by day in the event's zone.
+function occurrences(e, from, to){
+  const r=e.rrule, length=e.end-e.start;
+  if(!r) return e.start<to && e.end>from? [e.start] : [];
+  const untilMs=r.until? parseDate(r.until,{},e.tz)?.ms ?? Infinity : Infinity;
+  const first=wall(e.start,e.tz); const base=Date.UTC(first.y,first.m-1,first.d);
+  const days=r.byday? new Set(r.byday) : new Set([WEEKDAYS[new Date(base).getUTCDay()]]);
+  const out=[]; let n=0;
+  for(let day=base; ; day+=DAY_MS){
+    const dt=new Date(day), diff=Math.round((day-base)/DAY_MS);
+    let hit=false;
+    if(r.freq==="DAILY") hit=diff%r.interval===0 && (!r.byday || days.has(WEEKDAYS[dt.getUTCDay()]));
+    else if(r.freq==="WEEKLY") hit=Math.floor((diff+((new Date(base).getUTCDay()+6)%7))/7)%r.interval===0 && days.has(WEEKDAYS[dt.getUTCDay()]);
+    else if(r.freq==="MONTHLY") hit=dt.getUTCDate()===first.d && ((dt.getUTCFullYear()-first.y)*12+dt.getUTCMonth()-(first.m-1))%r.interval===0;
+    else if(r.freq==="YEARLY") hit=dt.getUTCDate()===first.d && dt.getUTCMonth()===first.m-1 && (dt.getUTCFullYear()-first.y)%r.interval===0;
+    else return e.start<to && e.end>from? [e.start] : [];
+    if(!hit) { if(day>to+DAY_MS) break; continue; }
+    const start=e.tz==="UTC"? day+((e.wall.h*60+e.wall.mi)*60+e.wall.s)*1000 : zonedToUtc(dt.getUTCFullYear(),dt.getUTCMonth()+1,dt.getUTCDate(),e.wall.h,e.wall.mi,e.wall.s,e.tz);
+    if(start>untilMs || start>=to) break;
+    n++; if(r.count && n>r.count) break;
+    if(start+length>from && !e.exdates.has(start)) out.push(start);
+  }
+  return out;
+}
+
+// Busy intervals [{ start, end }] within [from, to), sorted.
+export function busyIntervals(events, from, to){
+  const overridden=new Set(events.filter(e=>e.recurrenceId!=null).map(e=>e.uid+"|"+e.recurrenceId));
+  const out=[];
+  for(const e of events){
+    if(e.transparent) continue;
+    const cancelled=e.status==="CANCELLED";
+    for(const s of occurrences(e,from,to)){
+      if(e.recurrenceId==null && overridden.has(e.uid+"|"+s)) continue;
+      if(!cancelled) out.push({ start:s, end:s+(e.end-e.start) });
+    }
+  }
+  return out.sort((a,b)=>a.start-b.start);
+}
+
+// ----- ICS writing -----
+function icsDate(ms){ return new Date(ms).toISOString().replace(/[-:]/g,"").replace(/\.\d{3}/,""); }
+function fold(line){ const out=[]; let s=line; while(s.length>74){ out.push(s.slice(0,74)); s=" "+s.slice(74); } out.push(s); return out.join("\r\n"); }
+function bookingEvent(b){
+  const desc=["Name: "+b.name, b.email&&"Email: "+b.email, b.phone&&"Phone: "+b.phone, b.company&&"Company: "+b.company, b.topic&&"Topic: "+b.topic, "Visitor time zone: "+b.tz, "Booked via SODERBOT"].filter(Boolean).join("\n");
+  return [
+    "BEGIN:VEVENT", "UID:"+b.id+"@soderbot", "DTSTAMP:"+icsDate(b.createdAt), "CREATED:"+icsDate(b.createdAt),
+    "DTSTART:"+icsDate(b.start), "DTEND:"+icsDate(b.end),
+    "SUMMARY:"+escapeText("Consultation: "+b.name+(b.company?" ("+b.company+")":"")),
+    "DESCRIPTION:"+escapeText(desc), "STATUS:CONFIRMED", "TRANSP:OPAQUE",
+    ...(b.email? ['ATTENDEE;CN="'+b.name.replace(/["\r\n]/g,"")+'":mailto:'+b.email] : []),
+    "X-SODERBOT-LANG:"+b.lang, "X-SODERBOT-SESSION:"+(b.sessionId||""),
+    "END:VEVENT"
+  ].map(fold).join("\r\n");
+}
+function calendar(events){
+  return ["BEGIN:VCALENDAR","VERSION:2.0","PRODID:-//Soderman Audiovisual//SODERBOT bookings//EN","CALSCALE:GREGORIAN","X-WR-CALNAME:SODERBOT consultations",...events,"END:VCALENDAR",""].join("\r\n");
+}
+
+/**
+ * opts: { source, file, tz, hours:"09:00-16:00", days:"1-5", slotMinutes, bufferMinutes, noticeHours, horizonDays, userAgent }
+ * source: path or http(s) URL of the team's calendar (busy time); file: where bookings are written (also busy).
+ */
+export function createBookingService(opts){
+  const { source, file, tz="Europe/Helsinki", slotMinutes=30, bufferMinutes=0, noticeHours=24, horizonDays=14, userAgent }=opts;
+  const [open,close]=String(opts.hours||"09:00-16:00").split("-").map(t=>{ const [h,m]=t.split(":").map(Number); return h*60+(m||0); });
+  const [d1,d2]=String(opts.days||"1-5").split("-").map(Number); const workdays=new Set(); for(let d=d1;d<=(d2||d1);d++) workdays.add(d%7);
+  let cached={ at:0, events:null }, mutex=Promise.resolve();
+
+  // force skips the cache (used right before writing a booking); a failed fetch falls back to the last good copy.
+  async function loadSource(force=false){
+    if(!source) return [];
+    if(!force && cached.events && Date.now()-cached.at<SOURCE_TTL_MS) return cached.events;
+    try{
+      let text;
+      if(/^https?:\/\//i.test(source)){
+        const r=await fetch(source,{ headers:userAgent?{ "User-Agent":userAgent }:{}, signal:AbortSignal.timeout(15000) });
+        if(!r.ok) throw new Error("HTTP "+r.status);
+        text=await r.text();
+      }else text=await fs.readFile(source,"utf8");
+      cached={ at:Date.now(), events:parseIcs(text,tz) };
+    }catch(e){
+      if(!cached.events) throw new Error("availability calendar unavailable ("+(e?.message||String(e))+")");
+      console.log("⚠️ Calendar source failed, using cached copy:", e?.message||String(e));
+      cached.at=Date.now()-SOURCE_TTL_MS+60e3;   // retry in a minute
+    }
+    return cached.events;
+  }
+  async function readBookings(){
+    try{ return parseIcs(await fs.readFile(file,"utf8"),"UTC"); }
+    catch(e){ if(e.code==="ENOENT") return []; throw e; }
+  }
+  async function busy(from, to){
+    const [src,own]=await Promise.all([loadSource(),readBookings()]);
+    return busyIntervals([...src,...own],from,to);
+  }
+
+  // Candidate start times on the grid, in the team's zone, that are bookable by policy (not checked against busy time).
+  function* grid(from, to){
+    const first=wall(from,tz);
+    for(let day=Date.UTC(first.y,first.m-1,first.d); day<to; day+=DAY_MS){
+      const dt=new Date(day); if(!workdays.has(dt.getUTCDay())) continue;
+      for(let t=open; t+slotMinutes<=close; t+=slotMinutes){
+        const start=zonedToUtc(dt.getUTCFullYear(),dt.getUTCMonth()+1,dt.getUTCDate(),Math.floor(t/60),t%60,0,tz);
+        if(start>=from && start<to) yield start;
+      }
+    }
+  }
+  function isFree(start, intervals){
+    const end=start+slotMinutes*60e3, pad=bufferMinutes*60e3;
+    return !intervals.some(b=>b.start<end+pad && b.end>start-pad);
+  }
+  function window(fromMs){
+    const earliest=Date.now()+noticeHours*36e5;
+    return { from:Math.max(earliest,fromMs||0), to:earliest+horizonDays*DAY_MS };
+  }
+
+  // { from?: ISO date/time, limit?, perDay?, partOfDay?: "morning"|"afternoon", tz: visitor zone, lang } → [{ start, end, label }]
+  // At most perDay slots per (visitor's) day, so the offer spans several days.
+  async function slots({ from, limit=6, perDay=2, partOfDay, tz:viewTz=tz, lang="en" }={}){
+    const w=window(from? Date.parse(from) : 0);
+    const intervals=await busy(w.from,w.to);
+    const out=[], perDate=new Map();
+    for(const start of grid(w.from,w.to)){
+      if(!isFree(start,intervals)) continue;
+      const v=wall(start,viewTz), date=v.y+"-"+v.m+"-"+v.d;
+      if(partOfDay==="morning" && v.h>=12 || partOfDay==="afternoon" && v.h<12) continue;
+      if((perDate.get(date)||0)>=perDay) continue;
+      perDate.set(date,(perDate.get(date)||0)+1);
+      out.push({ start:new Date(start).toISOString(), end:new Date(start+slotMinutes*60e3).toISOString(), label:formatSlot(start,viewTz,lang) });
+      if(out.length>=limit) break;
+    }
+    return out;
+  }
+
+  // Cross-process lock: O_EXCL lock file next to the bookings file; stale locks (crashed process) are broken.
+  async function withLock(fn){
+    const lock=file+".lock", t0=Date.now();
+    await fs.mkdir(path.dirname(file),{ recursive:true });
+    for(;;){
+      try{ const h=await fs.open(lock,"wx"); await h.writeFile(String(process.pid)); await h.close(); break; }
+      catch(e){
+        if(e.code!=="EEXIST") throw e;
+        const st=await fs.stat(lock).catch(()=>null);
+        if(st && Date.now()-st.mtimeMs>LOCK_STALE_MS){ await fs.unlink(lock).catch(()=>{}); continue; }
+        if(Date.now()-t0>LOCK_WAIT_MS) throw new Error("booking calendar is busy, try again");
+        await sleep(50);
+      }
+    }
+    try{ return await fn(); }
+    finally{ await fs.unlink(lock).catch(()=>{}); }
+  }
+  // Serializes reservations in this process, then takes the file lock for other processes.
+  function exclusive(fn){ const run=mutex.then(()=>withLock(fn)); mutex=run.catch(()=>{}); return run; }
+
+  // contact: { name, email?, phone?, company?, topic? } (validated by the caller). Returns { booking } or { conflict:true, alternatives }.
+  async function reserve({ start, contact, tz:viewTz=tz, lang="en", sessionId=null }){
+    const startMs=Date.parse(start);
+    if(!Number.isFinite(startMs)) return { error:"start must be an ISO date-time from the offered slots" };
+    return exclusive(async ()=>{
+      const w=window(0);
+      const onGrid=startMs>=w.from && startMs<w.to && [...grid(startMs,startMs+1)].includes(startMs);
+      if(!onGrid) return { error:"that time is not an offered slot" };
+      // Re-read the team calendar too: it may have changed since the slots were offered.
+      const [src,own]=await Promise.all([loadSource(true),readBookings()]);
+      if(!isFree(startMs,busyIntervals([...src,...own],startMs-DAY_MS,startMs+DAY_MS))){
+        return { conflict:true, alternatives:await slots({ from:new Date(startMs).toISOString(), limit:3, perDay:3, tz:viewTz, lang }) };
+      }
+      const booking={ id:randomUUID(), createdAt:Date.now(), start:startMs, end:startMs+slotMinutes*60e3, ...contact, tz:viewTz, lang, sessionId };
+      const events=own.map(e=>["BEGIN:VEVENT",...e.raw,"END:VEVENT"].map(fold).join("\r\n"));
+      const tmp=file+".tmp";
+      await fs.writeFile(tmp,calendar([...events,bookingEvent(booking)]),"utf8");
+      await fs.rename(tmp,file);
+      return { booking:{ ...booking, createdAt:new Date(booking.createdAt).toISOString(), start:new Date(booking.start).toISOString(), end:new Date(booking.end).toISOString(), label:formatSlot(startMs,viewTz,lang) } };
+    });
+  }
+
+  async function list(){
+    return (await readBookings()).sort((a,b)=>a.start-b.start)
+      .map(e=>({ uid:e.uid, start:new Date(e.start).toISOString(), end:new Date(e.end).toISOString(), summary:e.summary, description:e.description, status:e.status }));
+  }
+  async function ics(){ try{ return await fs.readFile(file,"utf8"); }catch(e){ if(e.code==="ENOENT") return calendar([]); throw e; } }
+
+  return { slots, reserve, list, ics, timeZone:tz, slotMinutes };
+}
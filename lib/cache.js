@@ -0,0 +1,83 @@
+import { createHash } from "node:crypto";
+import { estimateTokens } from "./chunker.js";
+import { hasPersonalData } from "./leads.js";
+
+/**
+ * Caches in front of the model providers
+ * - Embedding cache: LRU keyed by a content hash of (embedding model id, text), shared by the crawl and the query path
+ * - Semantic answer cache: reuses an answer when a new question's embedding is close enough to a cached one,
+ *   in the same language and for the same KB version; cleared whenever a new index is swapped in
+ * - Both count hits/misses and the tokens they saved (≈4 chars per token)
+ */
+
+export function createLru(max){
+  const map=new Map();   // insertion order doubles as recency order
+  return {
+    get(k){ const v=map.get(k); if(v!==undefined){ map.delete(k); map.set(k,v); } return v; },
+    set(k,v){ map.delete(k); map.set(k,v); if(map.size>max) map.delete(map.keys().next().value); },
+    clear(){ map.clear(); },
+    get size(){ return map.size; }
+  };
+}
+
+/**
+ * Wraps provider.embed. embed(texts, { source:"crawl"|"query", signal, refresh? }) sends only the misses upstream, in one call;
+ * refresh re-embeds everything (and stores the new vectors).
+ * Vectors are held as Float32Array and handed out as plain arrays.
+ */
+export function createEmbeddingCache(embedder, { max=10000 }={}){
+  const lru=createLru(max);
+  const stats={ hits:{ crawl:0, query:0 }, misses:{ crawl:0, query:0 }, savedTokens:0 };
+  const key=t=>createHash("sha1").update(embedder.id+"\n"+t).digest("base64");
+
+  async function embed(texts, { source="query", signal, refresh=false }={}){
+    const keys=texts.map(key), out=new Array(texts.length), missing=[];
+    keys.forEach((k,i)=>{ const v=!refresh && lru.get(k); if(v){ out[i]=Array.from(v); stats.hits[source]++; stats.savedTokens+=estimateTokens(texts[i]); } else missing.push(i); });
+    if(missing.length){
+      stats.misses[source]+=missing.length;
+      const vecs=await embedder.embed(missing.map(i=>texts[i]),{ signal });
+      missing.forEach((i,j)=>{ out[i]=vecs[j]; lru.set(keys[i],Float32Array.from(vecs[j])); });
+    }
+    return out;
+  }
+  return { embed, clear:()=>lru.clear(), stats:()=>({ size:lru.size, max, ...stats }) };
+}
+
+function unit(v){ const f=Float32Array.from(v); let n=0; for(const x of f) n+=x*x; n=Math.sqrt(n)||1; for(let i=0;i<f.length;i++) f[i]/=n; return f; }
+function dot(a,b){ if(a.length!==b.length) return -1; let s=0; for(let i=0;i<a.length;i++) s+=a[i]*b[i]; return s; }
+
+/**
+ * opts: { max, threshold (cosine), ttlMs, siteDetails?, now? }
+ * lookup({ vec, lang, version }) → the stored answer object or null
+ * store({ vec, lang, version, question, answer, tokens }) — `tokens` is what a hit saves (prompt + reply)
+ * Cached answers are shared between visitors: a question or reply with an email, phone number or name in it is never stored,
+ * unless the detail is published on the site — siteDetails() → Set of personalData() values found in the indexed content.
+ */
+export function createAnswerCache({ max=500, threshold=0.95, ttlMs=6*36e5, siteDetails=()=>null, now=Date.now }={}){
+  let entries=[];   // oldest first
+  const stats={ hits:0, misses:0, stored:0, personal:0, invalidations:0, savedTokens:0, savedCompletions:0 };
+
+  function lookup({ vec, lang, version }){
+    if(!vec){ stats.misses++; return null; }
+    const q=unit(vec), t=now(); let best=null, bestS=threshold;
+    entries=entries.filter(e=>t-e.at<ttlMs);
+    for(const e of entries){
+      if(e.lang!==lang || e.version!==version) continue;
+      const s=dot(q,e.vec); if(s>=bestS){ bestS=s; best=e; }
+    }
+    if(!best){ stats.misses++; return null; }
+    best.hits++; stats.hits++; stats.savedCompletions++; stats.savedTokens+=best.tokens;
+    return { ...best.answer, similarity:bestS, question:best.question };
+  }
+  function store({ vec, lang, version, question, answer, tokens=0 }){
+    if(!vec) return;
+    const known=siteDetails();
+    if(hasPersonalData(question,known) || hasPersonalData(answer?.text,known)){ stats.personal++; return; }
+    entries.push({ vec:unit(vec), lang, version, question, answer, tokens, at:now(), hits:0 });
+    if(entries.length>max) entries.shift();
+    stats.stored++;
+  }
+  // Called when a new index goes live: answers from the old KB could cite chunks that changed.
+  function invalidate(){ if(entries.length) stats.invalidations++; entries=[]; }
+  return { lookup, store, invalidate, stats:()=>({ size:entries.length, max, threshold, ...stats }) };
+}
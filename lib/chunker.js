@@ -0,0 +1,77 @@
+/**
+ * Structure-aware chunker
+ * - Follows the page's heading outline, then packs whole sentences into chunks
+ * - Sizes are in tokens (≈4 chars each, no tokenizer dependency) with sentence-level overlap
+ * - Every chunk starts with "Page title › Heading › Subheading" so it stands on its own
+ *
+ * Input doc: { title, description?, blocks:[{ type:"heading", level, text } | { type:"text", text }] }
+ */
+
+export function estimateTokens(s){ return Math.ceil(String(s).length/4); }
+
+export function splitSentences(text){
+  return String(text)
+    .split(/\n+|(?<=[.!?…])\s+(?=[\p{Lu}\d"“'(])/u)
+    .map(s=>s.replace(/\s+/g," ").trim())
+    .filter(Boolean);
+}
+
+// A sentence longer than the budget (tables, run-on lists) is cut on word boundaries.
+function splitLong(sentence, maxTokens){
+  if(estimateTokens(sentence)<=maxTokens) return [sentence];
+  const out=[]; let cur="";
+  for(const w of sentence.split(" ")){
+    if(cur && estimateTokens(cur+" "+w)>maxTokens){ out.push(cur); cur=w; }
+    else cur=cur?cur+" "+w:w;
+  }
+  if(cur) out.push(cur);
+  return out;
+}
+
+// Groups text under the heading path that is in effect where it appears.
+function sections(doc){
+  const out=[], path=[];
+  let cur={ headings:[], texts:doc.description?[doc.description]:[] };
+  const flush=()=>{ if(cur.texts.length) out.push(cur); };
+  for(const b of doc.blocks||[]){
+    if(b.type==="heading"){
+      flush();
+      while(path.length && path[path.length-1].level>=b.level) path.pop();
+      path.push({ level:b.level, text:b.text });
+      cur={ headings:path.map(h=>h.text), texts:[] };
+    }else if(b.text) cur.texts.push(b.text);
+  }
+  flush();
+  return out;
+}
+
+export function chunkDocument(doc, { maxTokens=220, overlapTokens=40 }={}){
+  const chunks=[], merged=[];
+  for(const sec of sections(doc)){
+    // The page's own <h1> usually repeats the title; don't print it twice. Its intro then joins the description.
+    const headings=sec.headings[0]===doc.title? sec.headings.slice(1) : sec.headings;
+    const prev=merged[merged.length-1];
+    if(prev && prev.headings.join("\u0000")===headings.join("\u0000")) prev.texts.push(...sec.texts);
+    else merged.push({ headings, texts:[...sec.texts] });
+  }
+  for(const { headings, texts } of merged){
+    const prefix=[doc.title, ...headings].filter(Boolean).join(" › ");
+    const budget=Math.max(32, maxTokens-estimateTokens(prefix));
+    const sentences=texts.flatMap(splitSentences).flatMap(s=>splitLong(s,budget));
+    let cur=[], size=0, fresh=0;
+    const emit=()=>{
+      chunks.push({ text:(prefix?prefix+"\n":"")+cur.join(" "), title:doc.title||"", headings });
+      // Carry trailing sentences into the next chunk, up to the overlap budget.
+      const carry=[]; let c=0;
+      for(let i=cur.length-1;i>0;i--){ const t=estimateTokens(cur[i]); if(c+t>overlapTokens) break; carry.unshift(cur[i]); c+=t; }
+      cur=carry; size=c; fresh=0;
+    };
+    for(const s of sentences){
+      const t=estimateTokens(s);
+      if(size+t>budget && fresh>0) emit();
+      cur.push(s); size+=t; fresh++;
+    }
+    if(fresh>0) emit();   // a tail made only of carried-over sentences is already in the previous chunk
+  }
+  return chunks;
+}
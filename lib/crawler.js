@@ -0,0 +1,182 @@
+import { gunzipSync } from "node:zlib";
+
+/**
+ * Site crawler
+ * - robots.txt: Allow/Disallow (longest match, * and $ patterns), Crawl-delay, Sitemap lines
+ * - Sitemaps and sitemap indexes (recursive, .xml.gz too) with lastmod and hreflang alternates
+ * - Breadth-first link following inside the site for pages the sitemap misses
+ * - Bounded concurrency, per-host politeness delay, retries with backoff (+ Retry-After) on transient failures
+ * - Canonical URLs: no fragment, no query string, no trailing slash
+ * - Every page that is not indexed is recorded with a reason
+ */
+
+const TRANSIENT = new Set([408,425,429,500,502,503,504]);
+const NOT_PAGES = /\.(pdf|jpe?g|png|gif|webp|svg|ico|mp4|mov|webm|mp3|zip|docx?|xlsx?|pptx?|css|js|json|xml|txt)$/i;
+const MAX_SKIPPED = 500;
+
+const sleep=ms=>new Promise(r=>setTimeout(r,ms));
+
+export function canonicalUrl(href, base){
+  try{
+    const u=new URL(href,base); if(!/^https?:$/.test(u.protocol)) return null;
+    u.hash=""; u.search="";
+    return (u.origin+u.pathname).replace(/\/+$/,"");
+  }catch{ return null; }
+}
+
+function patternToRegex(p){ return new RegExp("^"+p.replace(/[.+?^${}()|[\]\\]/g,"\\$&").replace(/\*/g,".*").replace(/\\\$$/,"$")); }
+
+// Picks the group naming our agent, else "*". An empty Disallow allows everything.
+export function parseRobots(text, agent){
+  const groups=[], sitemaps=[]; let cur=null, inAgents=false;
+  for(const raw of String(text).split(/\r?\n/)){
+    const line=raw.replace(/#.*$/,"").trim(); const i=line.indexOf(":"); if(i<0) continue;
+    const key=line.slice(0,i).trim().toLowerCase(), val=line.slice(i+1).trim();
+    if(key==="sitemap"){ if(val) sitemaps.push(val); continue; }
+    if(key==="user-agent"){
+      if(!inAgents){ cur={ agents:[], rules:[], delay:null }; groups.push(cur); }
+      cur.agents.push(val.toLowerCase()); inAgents=true; continue;
+    }
+    inAgents=false; if(!cur) continue;
+    if((key==="allow"||key==="disallow") && val) cur.rules.push({ allow:key==="allow", len:val.length, re:patternToRegex(val) });
+    else if(key==="crawl-delay" && Number(val)>=0) cur.delay=Number(val);
+  }
+  const a=String(agent||"").toLowerCase();
+  const group=groups.find(g=>g.agents.some(x=>x!=="*" && a.includes(x))) || groups.find(g=>g.agents.includes("*"));
+  const rules=group?.rules||[];
+  return {
+    sitemaps, crawlDelay:group?.delay??null,
+    allowed(url){
+      const u=new URL(url), p=u.pathname+u.search; let best=null;
+      for(const r of rules) if(r.re.test(p) && (!best || r.len>best.len || (r.len===best.len && r.allow))) best=r;
+      return !best || best.allow;
+    }
+  };
+}
+
+// Collects rel=alternate hreflang links from a sitemap <url> entry (or any markup with <link> tags).
+export function parseAlternates(markup, base){
+  const out={}; const re=/<(?:xhtml:)?link\b[^>]*>/gi; let m;
+  while((m=re.exec(markup))){
+    const tag=m[0]; if(!/rel=["']?alternate/i.test(tag)) continue;
+    const l=(tag.match(/hreflang=["']?([a-z]{2})/i)?.[1]||"").toLowerCase(), href=tag.match(/href=["']([^"']+)["']/i)?.[1];
+    const u=href && canonicalUrl(href,base); if(l && u) out[l]=u;
+  }
+  return out;
+}
+
+/**
+ * opts: { site, userAgent, robotsAgent, concurrency, delayMs, retries, timeoutMs, maxPages, maxDepth }
+ * Usage: await c.loadRobots(); const entries=await c.discover(seedPaths); await c.run(entries, visit);
+ * visit({ url, lastmod, alternates, depth }) does the page work and returns the links to follow.
+ */
+export function createCrawler(opts){
+  const { site, userAgent, robotsAgent="soderbot", concurrency=4, delayMs=250, retries=3, timeoutMs=15000, maxPages=360, maxDepth=3 }=opts;
+  const origin=new URL(site).origin;
+  const nextSlot=new Map();   // host -> earliest time for the next request
+  const seen=new Set(); const skipped=[]; let robots=parseRobots("",robotsAgent), politeMs=delayMs, dropped=0, queue=[];
+
+  function skip(url, reason){
+    if(skipped.length<MAX_SKIPPED) skipped.push({ url, reason }); else dropped++;
+    console.log("· skip", url, "("+reason+")");
+  }
+  function inSite(url){ try{ return !!url && new URL(url).origin===origin; }catch{ return false; } }
+
+  // Requests to one host are spaced by the politeness delay even when several workers are busy.
+  async function politeTurn(url){
+    const host=new URL(url).host, now=Date.now(), at=Math.max(now, nextSlot.get(host)||0);
+    nextSlot.set(host, at+politeMs);
+    if(at>now) await sleep(at-now);
+  }
+  function backoff(attempt, r){
+    const ra=r?.headers.get("retry-after");
+    if(ra){ const s=Number(ra); const ms=Number.isFinite(s)? s*1000 : Date.parse(ra)-Date.now(); if(ms>=0) return Math.min(ms,60e3); }
+    return 500*2**attempt + Math.random()*250;
+  }
+  async function fetchWithRetry(url, init={}){
+    for(let attempt=0;;attempt++){
+      await politeTurn(url);
+      let r=null;
+      try{
+        r=await fetch(url,{ ...init, headers:{ "User-Agent":userAgent, ...init.headers }, signal:AbortSignal.timeout(timeoutMs) });
+        if(!TRANSIENT.has(r.status) || attempt>=retries) return r;
+      }catch(e){ if(attempt>=retries) throw e; }
+      await sleep(backoff(attempt,r));
+    }
+  }
+
+  async function loadRobots(){
+    try{
+      const r=await fetchWithRetry(origin+"/robots.txt");
+      if(r.ok) robots=parseRobots(await r.text(),robotsAgent);
+    }catch{}
+    if(robots.crawlDelay!=null) politeMs=Math.max(delayMs, robots.crawlDelay*1000);
+    return robots;
+  }
+
+  async function readSitemap(url, found, visited, depth){
+    if(visited.has(url) || depth>3) return; visited.add(url);
+    let xml;
+    try{
+      const r=await fetchWithRetry(url); if(!r.ok) return;
+      xml=/\.gz$/i.test(new URL(url).pathname)? gunzipSync(Buffer.from(await r.arrayBuffer())).toString("utf8") : await r.text();
+    }catch{ return; }
+    if(/<sitemapindex[\s>]/i.test(xml)){
+      for(const m of xml.matchAll(/<sitemap>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/sitemap>/gi)) await readSitemap(m[1].trim(),found,visited,depth+1);
+      return;
+    }
+    for(const m of xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)){
+      const loc=m[1].match(/<loc>([^<]+)<\/loc>/i)?.[1]; const u=loc && canonicalUrl(loc.trim());
+      if(!inSite(u) || found.has(u)) continue;
+      found.set(u,{ lastmod:m[1].match(/<lastmod>([^<]+)<\/lastmod>/i)?.[1].trim()||null, alternates:parseAlternates(m[1],u) });
+    }
+  }
+
+  // Sitemaps named in robots.txt plus /sitemap.xml, then the seed paths. Returns [{ url, lastmod, alternates, depth:0 }].
+  async function discover(seedPaths=[]){
+    const found=new Map(), visited=new Set();
+    for(const sm of new Set([...robots.sitemaps, origin+"/sitemap.xml"])) await readSitemap(sm,found,visited,0);
+    for(const p of seedPaths){ const u=canonicalUrl(p,origin); if(inSite(u) && !found.has(u)) found.set(u,{ lastmod:null, alternates:{} }); }
+    const entries=[];
+    for(const [url,e] of found){
+      if(!robots.allowed(url)){ skip(url,"disallowed by robots.txt"); continue; }
+      if(entries.length>=maxPages){ skip(url,"max pages reached"); continue; }
+      seen.add(url); entries.push({ url, ...e, depth:0 });
+    }
+    return entries;
+  }
+
+  // Marks a URL as taken (e.g. the canonical of a fetched alias). False when it was already queued or visited.
+  function claim(url){ if(seen.has(url)) return false; seen.add(url); return true; }
+
+  // Breadth-first over `entries` plus the links visit() returns, `concurrency` pages at a time.
+  async function run(entries, visit){
+    queue=entries.map((e,i)=>({ ...e, seq:i })); let next=0, active=0;
+    const enqueue=(href, parent)=>{
+      const url=canonicalUrl(href,parent.url);
+      if(!inSite(url) || seen.has(url) || NOT_PAGES.test(url)) return;
+      seen.add(url);
+      if(parent.depth+1>maxDepth) return skip(url,"link depth > "+maxDepth);
+      if(!robots.allowed(url)) return skip(url,"disallowed by robots.txt");
+      if(queue.length>=maxPages) return skip(url,"max pages reached");
+      queue.push({ url, lastmod:null, alternates:{}, depth:parent.depth+1, seq:queue.length, via:parent.url });
+    };
+    const worker=async ()=>{
+      for(;;){
+        if(next>=queue.length){ if(!active) return; await sleep(20); continue; }
+        const item=queue[next++]; active++;
+        try{ for(const l of (await visit(item))||[]) enqueue(l,item); }
+        catch(e){ skip(item.url,"error: "+(e?.message||String(e))); }
+        finally{ active--; }
+      }
+    };
+    await Promise.all(Array.from({ length:Math.max(1,concurrency) },worker));
+    return queue.length;
+  }
+
+  return {
+    loadRobots, discover, run, claim, skip, inSite, fetch:fetchWithRetry,
+    get queued(){ return queue.length; },
+    get skipped(){ return dropped? [...skipped,{ url:"…", reason:dropped+" more not listed" }] : skipped; }
+  };
+}
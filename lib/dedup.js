@@ -0,0 +1,81 @@
+import { fnv } from "./hash.js";
+
+/**
+ * Cross-page boilerplate removal + near-duplicate chunk collapse
+ * - A text block repeated on a large share of pages (cookie banners, menus, footers, shared CTAs) is kept
+ *   only on its canonical page (the one with the shortest path, usually the home page)
+ * - Chunks are compared with MinHash over word shingles; near-duplicates collapse into the first occurrence
+ */
+
+const NUM_HASHES = 64, BANDS = 16, ROWS = NUM_HASHES/BANDS, SHINGLE = 4;
+
+function blockKey(b){ return b.text.toLowerCase().replace(/\s+/g," ").trim(); }
+function pathLen(url){ try{ return new URL(url).pathname.replace(/\/+$/,"").length; }catch{ return url.length; } }
+
+// pages: Iterable<{ url, lang, doc }>. Repetition is counted per language, since each locale has its own chrome.
+// Returns Map(url -> { doc, removedBlocks, removedChars }).
+export function stripBoilerplate(pages, { minShare=0.3, minPages=3 }={}){
+  const byLang=new Map();
+  for(const p of pages){ if(!byLang.has(p.lang)) byLang.set(p.lang,[]); byLang.get(p.lang).push(p); }
+  const out=new Map();
+  for(const group of byLang.values()){
+    const seen=new Map();   // key -> urls containing it
+    for(const p of group){
+      for(const key of new Set(p.doc.blocks.filter(b=>b.type!=="heading").map(blockKey))){
+        if(!seen.has(key)) seen.set(key,[]);
+        seen.get(key).push(p.url);
+      }
+    }
+    const threshold=Math.max(minPages, Math.ceil(group.length*minShare));
+    const canonical=new Map();
+    for(const [key,urls] of seen) if(urls.length>=threshold) canonical.set(key, urls.reduce((a,b)=>pathLen(b)<pathLen(a)?b:a));
+    for(const p of group){
+      let removedBlocks=0, removedChars=0;
+      const blocks=p.doc.blocks.filter(b=>{
+        if(b.type==="heading") return true;
+        const home=canonical.get(blockKey(b));
+        if(!home || home===p.url) return true;
+        removedBlocks++; removedChars+=b.text.length; return false;
+      });
+      out.set(p.url,{ doc:removedBlocks?{ ...p.doc, blocks }:p.doc, removedBlocks, removedChars });
+    }
+  }
+  return out;
+}
+
+// 32-bit FNV-1a, then one xorshift-multiply mix per hash function.
+function mix(x,seed){ x=Math.imul(x^seed,0x85ebca6b); x^=x>>>13; x=Math.imul(x,0xc2b2ae35); x^=x>>>16; return x>>>0; }
+const SEEDS=Array.from({ length:NUM_HASHES },(_,i)=>fnv("seed"+i));
+
+export function minhash(text){
+  const words=String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const shingles=new Set();
+  if(words.length<=SHINGLE) shingles.add(words.join(" "));
+  else for(let i=0;i+SHINGLE<=words.length;i++) shingles.add(words.slice(i,i+SHINGLE).join(" "));
+  const sig=new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for(const s of shingles){ const h=fnv(s); for(let i=0;i<NUM_HASHES;i++){ const v=mix(h,SEEDS[i]); if(v<sig[i]) sig[i]=v; } }
+  return sig;
+}
+export function similarity(a,b){ let same=0; for(let i=0;i<NUM_HASHES;i++) if(a[i]===b[i]) same++; return same/NUM_HASHES; }
+
+// items: [{ text, group? }] in priority order. Items are only compared within the same group (language).
+// Returns the indexes to drop, each mapped to the index of the copy that was kept.
+export function findNearDuplicates(items, { threshold=0.9 }={}){
+  const sigs=items.map(it=>minhash(it.text));
+  const buckets=new Map(), dropped=new Map();
+  items.forEach((it,i)=>{
+    const candidates=new Set();
+    for(let b=0;b<BANDS;b++){
+      const key=(it.group??"")+"|"+b+"|"+Array.from(sigs[i].subarray(b*ROWS,(b+1)*ROWS)).join(",");
+      const list=buckets.get(key);
+      if(list) for(const j of list) candidates.add(j);
+      else buckets.set(key,[]);
+      buckets.get(key).push(i);
+    }
+    for(const j of candidates){
+      if(dropped.has(j)) continue;
+      if(similarity(sigs[i],sigs[j])>=threshold){ dropped.set(i,j); break; }
+    }
+  });
+  return dropped;
+}
@@ -0,0 +1,124 @@
+import { parse } from "node-html-parser";
+
+/**
+ * DOM-based page extractor
+ * - Content root: <main>, else [role=main], else every <article>, else <body>; nav/footer/aside/forms are dropped
+ * - Keeps headings, paragraphs, lists, tables (one readable line per row) and image alt text, in document order
+ * - Reads OpenGraph, JSON-LD (Organization, Service, VideoObject), canonical, hreflang and internal links
+ *
+ * Output: { title, description, lang, canonical, alternates{lang->url}, og{}, structured[], blocks[], links[] }
+ * Blocks: { type:"heading", level, text } | { type:"paragraph"|"list"|"table"|"image"|"data", text, ... }
+ */
+
+const NOISE = "script,style,noscript,template,svg,iframe,nav,footer,aside,form,button,[hidden],[aria-hidden=true]";
+const CONTAINERS = new Set(["p","div","section","article","main","header","blockquote","figure","figcaption","address","pre","dl","dt","dd","details","summary","center"]);
+const STRUCTURED_TYPES = ["Organization","LocalBusiness","ProfessionalService","Service","VideoObject"];
+
+function clean(s){ return String(s||"").replace(/\s+/g," ").trim(); }
+function normUrl(u){ return String(u).trim().replace(/#.*$/,"").replace(/\/+$/,""); }
+function resolve(href, base){ try{ return normUrl(new URL(href,base).toString()); }catch{ return null; } }
+
+function listBlock(el){
+  const items=el.childNodes.filter(n=>n.rawTagName?.toLowerCase()==="li").map(li=>clean(li.text)).filter(Boolean);
+  return items.length? { type:"list", items, text:items.map(i=>"• "+i).join("\n") } : null;
+}
+// Header cells become labels: "Package: Basic; Price: 900 €". Without a header row cells are joined with " | ".
+function tableBlock(el){
+  const rows=el.querySelectorAll("tr").map(tr=>tr.childNodes.filter(n=>/^t[hd]$/i.test(n.rawTagName||"")).map(c=>({ th:/^th$/i.test(c.rawTagName), text:clean(c.text) })));
+  const body=rows.filter(r=>r.length);
+  if(!body.length) return null;
+  const header=body[0].every(c=>c.th)? body.shift().map(c=>c.text) : null;
+  const lines=body.map(r=>header? r.map((c,i)=>(header[i]?header[i]+": ":"")+c.text).join("; ") : r.map(c=>c.text).join(" | ")).filter(l=>clean(l.replace(/[|;:]/g,"")));
+  return lines.length? { type:"table", rows:body.map(r=>r.map(c=>c.text)), header, text:lines.join("\n") } : null;
+}
+
+// Walks the content root in document order; inline text is buffered into paragraphs.
+function toBlocks(root){
+  const blocks=[]; let buf="";
+  const flush=()=>{ const t=clean(buf); if(t) blocks.push({ type:"paragraph", text:t }); buf=""; };
+  const walk=node=>{
+    if(node.nodeType===3){ buf+=node.text; return; }
+    if(node.nodeType!==1) return;
+    const tag=(node.rawTagName||"").toLowerCase();
+    const h=tag.match(/^h([1-6])$/);
+    if(h){ flush(); const t=clean(node.text); if(t) blocks.push({ type:"heading", level:Number(h[1]), text:t }); return; }
+    if(tag==="ul"||tag==="ol"){ flush(); const b=listBlock(node); if(b) blocks.push(b); return; }
+    if(tag==="table"){ flush(); const b=tableBlock(node); if(b) blocks.push(b); return; }
+    if(tag==="img"){ const alt=clean(node.getAttribute("alt")); if(alt){ flush(); blocks.push({ type:"image", alt, text:"Image: "+alt }); } return; }
+    if(tag==="br"){ buf+="\n"; return; }
+    const block=CONTAINERS.has(tag) || tag==="li";
+    if(block) flush();
+    for(const c of node.childNodes) walk(c);
+    if(block) flush();
+  };
+  walk(root); flush();
+  return blocks;
+}
+
+function asText(v){
+  if(v==null) return "";
+  if(typeof v==="string"||typeof v==="number") return String(v);
+  if(Array.isArray(v)) return v.map(asText).filter(Boolean).join(", ");
+  if(v.name) return asText(v.name);
+  if(v["@type"]==="PostalAddress") return [v.streetAddress,v.postalCode,v.addressLocality,v.addressCountry].map(asText).filter(Boolean).join(", ");
+  return "";
+}
+function structuredItem(o){
+  const types=[].concat(o["@type"]||[]); const type=STRUCTURED_TYPES.find(t=>types.includes(t)); if(!type) return null;
+  const pick={ type:type==="Service"||type==="VideoObject"?type:"Organization", name:asText(o.name), description:clean(asText(o.description)) };
+  if(pick.type==="Organization") Object.assign(pick,{ telephone:asText(o.telephone), email:asText(o.email), address:asText(o.address), url:asText(o.url) });
+  if(pick.type==="Service") Object.assign(pick,{ serviceType:asText(o.serviceType), areaServed:asText(o.areaServed), price:asText(o.offers?.price||o.offers?.priceSpecification?.price), currency:asText(o.offers?.priceCurrency) });
+  if(pick.type==="VideoObject") Object.assign(pick,{ uploadDate:asText(o.uploadDate), duration:asText(o.duration), url:asText(o.contentUrl||o.embedUrl||o.url) });
+  for(const k of Object.keys(pick)) if(!pick[k]) delete pick[k];
+  return pick.name||pick.description? pick : null;
+}
+function readJsonLd(root){
+  const out=[];
+  const visit=o=>{ if(!o||typeof o!=="object") return; if(Array.isArray(o)) return o.forEach(visit); if(o["@graph"]) visit(o["@graph"]); const it=structuredItem(o); if(it) out.push(it); };
+  for(const s of root.querySelectorAll('script[type="application/ld+json"]')){ try{ visit(JSON.parse(s.text)); }catch{} }
+  return out;
+}
+// One readable line per structured item, so facts such as phone numbers and prices are indexed too.
+function structuredText(it){
+  const label={ Organization:"Organization", Service:"Service", VideoObject:"Video" }[it.type];
+  const extra=Object.entries(it).filter(([k])=>!["type","name","description"].includes(k)).map(([k,v])=>k+": "+v);
+  return label+": "+[it.name,it.description].filter(Boolean).join(" — ")+(extra.length?" ("+extra.join("; ")+")":"");
+}
+
+export function extractPage(html, url){
+  const root=parse(html,{ comment:false });
+  const head=root.querySelector("head")||root;
+  const meta=(attr,key)=>clean(head.querySelector(`meta[${attr}="${key}"]`)?.getAttribute("content"));
+  const og={}; for(const m of head.querySelectorAll("meta")){ const p=m.getAttribute("property")||""; if(p.startsWith("og:")) og[p.slice(3)]=clean(m.getAttribute("content")); }
+  const alternates={};
+  for(const l of head.querySelectorAll('link[rel="alternate"][hreflang]')){
+    const code=(l.getAttribute("hreflang")||"").slice(0,2).toLowerCase(), href=resolve(l.getAttribute("href"),url);
+    if(/^[a-z]{2}$/.test(code) && href) alternates[code]=href;
+  }
+  const canonicalHref=head.querySelector('link[rel="canonical"]')?.getAttribute("href");
+  const structured=readJsonLd(root);
+
+  const body=root.querySelector("body")||root;
+  const links=new Map(); const host=new URL(url).host;
+  for(const a of body.querySelectorAll("a[href]")){
+    const u=resolve(a.getAttribute("href"),url);
+    if(u && /^https?:/.test(u) && new URL(u).host===host && !links.has(u)) links.set(u,clean(a.text));
+  }
+
+  for(const hdr of body.querySelectorAll("header")) if(hdr.querySelector("nav")) hdr.remove();   // site header; a hero header keeps its h1
+  for(const n of body.querySelectorAll(NOISE)) n.remove();
+  const roots=[body.querySelector("main")||body.querySelector('[role="main"]')].filter(Boolean);
+  if(!roots.length) roots.push(...body.querySelectorAll("article"));
+  let blocks=roots.flatMap(toBlocks);
+  if(blocks.reduce((n,b)=>n+b.text.length,0)<120) blocks=toBlocks(body);
+  blocks.unshift(...structured.map(it=>({ type:"data", schema:it.type, text:structuredText(it) })));
+
+  return {
+    title:clean(head.querySelector("title")?.text)||og.title||"",
+    description:meta("name","description")||og.description||"",
+    lang:(root.querySelector("html")?.getAttribute("lang")||"").slice(0,2).toLowerCase(),
+    canonical:canonicalHref? resolve(canonicalHref,url) : null,
+    alternates, og, structured, blocks,
+    links:Array.from(links,([u,text])=>({ url:u, text }))
+  };
+}
@@ -0,0 +1,157 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { codedError } from "./resilience.js";
+import { estimateTokens } from "./chunker.js";
+
+/**
+ * Abuse protection for the chat API
+ * - Token buckets keyed by IP or session: `burst` requests at once, refilled at `perMinute`
+ * - Daily model budget (UTC day): estimated chat tokens and spend, kept in a small JSON file across restarts;
+ *   meteredProvider() refuses calls with code "budget_exhausted" once it is used up
+ * - Prompt-injection heuristics (EN/FI/SV): detectInjection() scores visitor messages,
+ *   sanitizeContent() drops instruction-like sentences from crawled text before it can reach the system prompt
+ * - Express middleware: rateLimit() over several buckets, bodyCap() for small form bodies
+ * `now` options (ms clock) are for tests.
+ */
+
+export function createRateLimiter({ perMinute, burst=perMinute, maxKeys=10000, now=Date.now }){
+  const buckets=new Map();   // key → { tokens, at }; insertion order doubles as LRU order
+  const rate=perMinute/60e3;
+  // → { ok, remaining } or { ok:false, retryAfterMs }. perMinute 0 disables the limit.
+  function take(key, n=1){
+    if(!perMinute) return { ok:true, remaining:Infinity };
+    const t=now(); let b=buckets.get(key);
+    if(b){ buckets.delete(key); b.tokens=Math.min(burst,b.tokens+(t-b.at)*rate); b.at=t; }
+    else b={ tokens:burst, at:t };
+    buckets.set(key,b);
+    if(buckets.size>maxKeys) buckets.delete(buckets.keys().next().value);
+    if(b.tokens>=n){ b.tokens-=n; return { ok:true, remaining:Math.floor(b.tokens) }; }
+    return { ok:false, retryAfterMs:Math.ceil((n-b.tokens)/rate) };
+  }
+  return { take, get size(){ return buckets.size; } };
+}
+
+// ----- Daily budget -----
+const dayOf=ms=>new Date(ms).toISOString().slice(0,10);
+
+/**
+ * opts: { dailyTokens, dailySpend (USD), priceIn, priceOut (USD per million tokens) } — a limit of 0 is off.
+ * record({ input, output }) after each model call; exhausted() before the next one. load(file) restores today's usage and keeps saving there.
+ */
+export function createBudget({ dailyTokens=0, dailySpend=0, priceIn=0, priceOut=0, now=Date.now }={}){
+  const today=()=>dayOf(now());
+  let day=today(), used={ input:0, output:0, calls:0 }, saveTimer=null, file=null;
+  const spend=()=>(used.input*priceIn+used.output*priceOut)/1e6;
+  function roll(){ const d=today(); if(d!==day){ day=d; used={ input:0, output:0, calls:0 }; } }
+  function exhausted(){
+    roll();
+    return !!((dailyTokens && used.input+used.output>=dailyTokens) || (dailySpend && spend()>=dailySpend));
+  }
+  function save(){
+    if(!file || saveTimer) return;
+    saveTimer=setTimeout(async ()=>{
+      saveTimer=null;
+      try{ await fs.mkdir(path.dirname(file),{ recursive:true }); await fs.writeFile(file+".tmp",JSON.stringify({ day, ...used })); await fs.rename(file+".tmp",file); }
+      catch(e){ console.log("⚠️ Usage file not written:", e?.message||String(e)); }
+    },2000);
+    saveTimer.unref?.();
+  }
+  function record({ input=0, output=0 }){ roll(); used.input+=input; used.output+=output; used.calls++; save(); }
+  // Today's counters survive a restart; another day's are ignored.
+  async function load(f){
+    file=f;
+    try{ const s=JSON.parse(await fs.readFile(file,"utf8")); if(s.day===today()){ day=s.day; used={ input:s.input||0, output:s.output||0, calls:s.calls||0 }; } }
+    catch(e){ if(e.code!=="ENOENT") throw e; }
+  }
+  function status(){
+    roll();
+    const resetsAt=new Date(Date.parse(day+"T00:00:00Z")+864e5).toISOString();
+    return { day, ...used, tokens:used.input+used.output, spend:Number(spend().toFixed(4)), limits:{ tokens:dailyTokens, spend:dailySpend }, exhausted:exhausted(), resetsAt };
+  }
+  return { record, exhausted, load, status };
+}
+
+function messageText(m){ return (typeof m.content==="string"? m.content : "")+(m.tool_calls? JSON.stringify(m.tool_calls) : ""); }
+// Wraps provider.chat: refuses when the budget is used up and records estimated tokens (≈4 chars each) of every answered call.
+export function meteredProvider(provider, budget){
+  async function chat(opts){
+    if(budget.exhausted()) throw codedError("budget_exhausted","daily model budget used up");
+    const input=estimateTokens(opts.messages.map(messageText).join("\n"))+(opts.tools? estimateTokens(JSON.stringify(opts.tools)) : 0);
+    const r=await provider.chat(opts);
+    budget.record({ input, output:estimateTokens(r.text+(r.toolCalls?.length? JSON.stringify(r.toolCalls) : "")) });
+    return r;
+  }
+  return { ...provider, chat };
+}
+
+// ----- Express middleware -----
+// Default refusal: { ok:false, code, msg } with the error's status, and Retry-After when it has one.
+function replyError(_req, res, e){
+  if(e.retryAfterMs) res.set("Retry-After",String(Math.ceil(e.retryAfterMs/1000)));
+  res.status(e.status).json({ ok:false, code:e.code, msg:e.message });
+}
+/**
+ * buckets: [[limiter, req → key (null skips the bucket)], …]. A request takes one token from each bucket and is refused with
+ * too_many_requests when any of them is empty. reject(req, res, err) sends the refusal; onLimited(req) is told first.
+ */
+export function rateLimit(buckets, { reject=replyError, onLimited }={}){
+  return (req,res,next)=>{
+    const r=buckets.map(([limiter,keyOf])=>{ const key=keyOf(req); return key==null? { ok:true } : limiter.take(key); }).find(x=>!x.ok);
+    if(!r) return next();
+    onLimited?.(req);
+    reject(req,res,codedError("too_many_requests","Too many requests, please wait "+Math.ceil(r.retryAfterMs/1000)+" s",{ retryAfterMs:r.retryAfterMs }));
+  };
+}
+// Refuses a parsed JSON body longer than maxChars once serialized (payload_too_large), for routes that need far less than the body limit.
+export function bodyCap(maxChars, { what="Request", reject=replyError }={}){
+  return (req,res,next)=>{
+    if(JSON.stringify(req.body??{}).length<=maxChars) return next();
+    reject(req,res,codedError("payload_too_large",what+" too large (max "+maxChars+" characters)"));
+  };
+}
+
+// ----- Prompt injection -----
+// \b only knows ASCII letters; this boundary also works next to ä, ö and å.
+const B = "(?:(?<![\\p{L}\\p{N}])(?=[\\p{L}\\p{N}])|(?<=[\\p{L}\\p{N}])(?![\\p{L}\\p{N}]))";
+const rx=src=>new RegExp(src.replaceAll("\\b",B),"iu");
+// [pattern, weight, label]; weights of different labels add up.
+// A pattern needs an instruction aimed at the assistant or its prompt: visitors ask about "the original instructions for the
+// booking" or "the developer mode of the drone app", and pages carry "System: Sony FX6" spec lines. Bare keywords (prompt-probe)
+// and role-change phrasing score below the threshold on their own.
+const INJECTION_PATTERNS = [
+  [rx("\\b(?:ignore|disregard|forget|override|bypass)\\b.{0,30}\\b(?:previous|prior|above|earlier|preceding|all|your|system)\\b.{0,20}\\b(?:instructions?|prompts?|rules|guidelines|directions)\\b"),3,"ignore-instructions"],
+  [rx("\\b(?:reveal|show|print|repeat|leak|output|tell me)\\b.{0,30}\\b(?:(?:your|the) (?:system |hidden |initial |secret )?prompt|system (?:prompt|message)|(?:hidden|secret) instructions|instructions you (?:were|have been) given|(?:text|everything) above)"),3,"prompt-leak"],
+  [rx("\\b(?:system|developer|hidden) (?:prompt|message)\\b"),1,"prompt-probe"],
+  [rx("\\byou are now (?:a|an|the|my|in|DAN)\\b|\\bfrom now on,? you (?:are|will|must|should)\\b|\\bpretend (?:to be|you are|you're)\\b|\\broleplay as\\b|\\bnew instructions?:|\\bact as (?:if|though) you\\b"),2,"role-change"],
+  [rx("\\bDAN mode\\b|\\bdo anything now\\b|\\b(?:enable|activate|enter|switch to)\\b (?:your )?developer mode\\b(?! (?:on|of|in|for)\\b)"),3,"jailbreak"],
+  [rx("\\bjailbreak\\b"),2,"jailbreak"],
+  [/<\|[a-z_]+\|>|\[\/?INST\]|<\/?(?:system|assistant|instructions)>|^\s*(?:system|assistant)\s*:\s*(?:you|ignore|forget|disregard|from now|new instructions)\b/im,3,"role-markup"],
+  [rx("\\b(?:ai|llm|gpt|chatgpt|assistants?|chatbots?|language models?)\\b.{0,30}\\b(?:must|should|are instructed to|are required to)\\b"),2,"addressed-to-ai"],
+  [rx("\\b(?:unohda|ohita|älä välitä|älä noudata)\\b.{0,30}(?:\\b(?:aiemm|edelli|yllä olev|kaik)\\p{L}*\\b.{0,20}\\b(?:ohje|sään|kehot)\\p{L}*|\\b(?:ohjeesi|ohjeitasi|sääntösi|sääntöjäsi|kehotteesi)\\b)"),3,"ignore-instructions"],
+  [rx("\\bolet nyt\\b|\\btoimi roolissa\\b|\\bteeskentele olevasi\\b"),2,"role-change"],
+  [rx("\\b(?:järjestelmäkehote\\p{L}*|järjestelmäviesti\\p{L}*|piilo\\p{L}* ohjee\\p{L}*)"),1,"prompt-probe"],
+  [rx("\\b(?:ignorera|glöm|strunta i|bortse från)\\b.{0,30}\\b(?:tidigare|ovanstående|alla|dina)\\b.{0,20}\\b(?:instruktion|regl|direktiv)\\p{L}*"),3,"ignore-instructions"],
+  [rx("\\bdu är nu\\b|\\blåtsas (?:att du är|vara)\\b|\\bagera som om du\\b"),2,"role-change"],
+  [rx("\\b(?:systemprompt\\p{L}*|systemmeddelande\\p{L}*|dolda instruktion\\p{L}*)"),1,"prompt-probe"]
+];
+export const INJECTION_THRESHOLD = 3;
+
+// text → { score, labels:[…] }; score ≥ INJECTION_THRESHOLD is treated as an injection attempt.
+export function detectInjection(text){
+  const labels=new Map();
+  for(const [re,w,label] of INJECTION_PATTERNS) if(re.test(text)) labels.set(label,Math.max(labels.get(label)||0,w));
+  return { score:[...labels.values()].reduce((a,b)=>a+b,0), labels:[...labels.keys()] };
+}
+// Chat-template markup has no business in a visitor message; it is removed before anything else sees the text.
+export function stripRoleMarkup(text){ return String(text).replace(/<\|[a-z_]+\|>|\[\/?INST\]|<\/?(?:system|assistant|instructions)>/gi,""); }
+
+// Crawled text: sentences (or lines) that read as instructions to a model are dropped. → { text, removed:[…] }
+export function sanitizeContent(text, threshold=INJECTION_THRESHOLD){
+  if(detectInjection(text).score<threshold && !/<\|[a-z_]+\|>|\[\/?INST\]/i.test(text)) return { text, removed:[] };
+  const removed=[];
+  const kept=text.split("\n").map(line=>line.split(/(?<=[.!?])\s+/).filter(s=>{
+    if(detectInjection(s).score<threshold) return true;
+    removed.push(s); return false;
+  }).join(" ")).join("\n");
+  return { text:stripRoleMarkup(kept), removed };
+}
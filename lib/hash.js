@@ -0,0 +1,2 @@
+// FNV-1a (32-bit): fast and stable across runs, for shingle signatures and feature hashing. Not for anything secret.
+export function fnv(s){ let h=0x811c9dc5; for(let i=0;i<s.length;i++){ h^=s.charCodeAt(i); h=Math.imul(h,0x01000193); } return h>>>0; }
@@ -0,0 +1,94 @@
+import fs from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+
+/**
+ * Lead store (human handoff)
+ * - Append-only JSONL: one { op:"create", lead } or { op:"update", id, patch, at } record per line
+ * - Replayed into memory on load; a torn last line (crash mid-write) is skipped
+ * - Writes are serialized, so concurrent requests never interleave lines
+ */
+
+export const LEAD_STATUSES = ["new","contacted","qualified","closed"];
+const FIELDS = { name:120, email:200, phone:40, company:160, question:4000, notes:4000, assignee:120 };
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+export const PHONE_RE = /^\+?[\d\s().-]{6,24}$/;
+
+// Free text that names or reaches a person: an email address, a phone number, or a self-introduction (EN/FI/SV).
+// Same address and number rules as the lead form; numbers must start like one (+, 0 or "("), so prices, ranges and dates don't count.
+// personalData(text) → ["email:anna@acme.fi", "phone:401234567", "name:anna"]; phones keep their last 9 digits, so +358 40… and 040… match.
+const NAME_INTRO_RE = /(?:\b|^)(?:my name is|i am|i'm|i’m|this is|nimeni on|olen|jag heter|mitt namn är|jag är)\s+(\p{L}[\p{L}'’-]*)/giu;
+export function personalData(text){
+  const t=String(text||""), found=[];
+  for(const w of t.split(/\s+/)){ const e=w.replace(/^[<(["']+|[>)\]"'.,;:!?]+$/g,""); if(EMAIL_RE.test(e)) found.push("email:"+e.toLowerCase()); }
+  for(const [m] of t.matchAll(/(?<![\w.+-])[+0(][\d\s().-]{5,22}\d/g)){
+    const digits=m.replace(/\D/g,"");
+    if(digits.length>=7 && PHONE_RE.test(m) && !/^\d{1,2}\.\d{1,2}\.\d{2,4}$/.test(m)) found.push("phone:"+digits.slice(-9));
+  }
+  // A capitalized word after "I'm" / "olen" / "jag heter" is taken as a name.
+  for(const [,name] of t.matchAll(NAME_INTRO_RE)) if(name[0]!==name[0].toLowerCase()) found.push("name:"+name.toLowerCase());
+  return found;
+}
+// `known`: personalData() values that are public anyway (the company's own phone and email on the site), so they don't count.
+export function hasPersonalData(text, known){ return personalData(text).some(d=>!known?.has(d)); }
+
+function clip(v, max){ return String(v??"").replace(/\s+/g," ").trim().slice(0,max); }
+
+// Returns { lead } with trimmed contact fields, or { errors:[...] }.
+export function validateLead(input){
+  const lead={}; const errors=[];
+  for(const k of ["name","email","phone","company","question"]) lead[k]=clip(input?.[k],FIELDS[k]);
+  if(!lead.name) errors.push("name is required");
+  if(!lead.email && !lead.phone) errors.push("email or phone is required");
+  if(lead.email && !EMAIL_RE.test(lead.email)) errors.push("email is not valid");
+  if(lead.phone && !PHONE_RE.test(lead.phone)) errors.push("phone is not valid");
+  return errors.length? { errors } : { lead };
+}
+
+export function createLeadStore(file){
+  const leads=new Map(); let queue=Promise.resolve();
+
+  function apply(rec){
+    if(rec.op==="create") leads.set(rec.lead.id,rec.lead);
+    else if(rec.op==="update" && leads.has(rec.id)) Object.assign(leads.get(rec.id),rec.patch,{ updatedAt:rec.at });
+  }
+  function write(rec){
+    const line=JSON.stringify(rec)+"\n";
+    queue=queue.then(()=>fs.appendFile(file,line,"utf8"));
+    return queue;
+  }
+
+  async function load(){
+    let text="";
+    try{ text=await fs.readFile(file,"utf8"); }
+    catch(e){ if(e.code==="ENOENT"){ await fs.mkdir(path.dirname(file),{ recursive:true }); return 0; } throw e; }
+    for(const line of text.split("\n")){ if(!line.trim()) continue; try{ apply(JSON.parse(line)); }catch{} }
+    return leads.size;
+  }
+
+  async function create(fields, extra={}){
+    const now=new Date().toISOString();
+    const lead={ id:randomUUID(), createdAt:now, updatedAt:now, status:"new", ...fields, ...extra, notes:"", assignee:"" };
+    await write({ op:"create", lead }); apply({ op:"create", lead });
+    return lead;
+  }
+
+  // Only status, notes and assignee change after creation; contact details and transcript stay as submitted.
+  async function update(id, input){
+    if(!leads.has(id)) return { notFound:true };
+    const patch={}, errors=[];
+    if(input?.status!==undefined){ if(LEAD_STATUSES.includes(input.status)) patch.status=input.status; else errors.push("status must be one of "+LEAD_STATUSES.join(", ")); }
+    for(const k of ["notes","assignee"]) if(input?.[k]!==undefined) patch[k]=String(input[k]).trim().slice(0,FIELDS[k]);
+    if(errors.length) return { errors };
+    if(!Object.keys(patch).length) return { errors:["nothing to update (status, notes, assignee)"] };
+    const at=new Date().toISOString();
+    await write({ op:"update", id, patch, at }); apply({ op:"update", id, patch, at });
+    return { lead:leads.get(id) };
+  }
+
+  function list({ status }={}){
+    return [...leads.values()].filter(l=>!status || l.status===status).sort((a,b)=>b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return { load, create, update, list, get:id=>leads.get(id)||null, get size(){ return leads.size; } };
+}
@@ -0,0 +1,130 @@
+import OpenAI from "openai";
+import { fnv } from "./hash.js";
+
+/**
+ * Chat + embedding providers
+ * - openai: api.openai.com (needs an API key)
+ * - openai-compatible: any OpenAI-style /v1 API by base URL (Ollama, vLLM, LM Studio, Azure OpenAI with apiVersion)
+ * - mock: offline and deterministic; hashed bag-of-words embeddings, templated replies built from the retrieved knowledge
+ *
+ * chat({ messages, tools?, temperature?, signal?, onDelta? }) → { text, toolCalls, finishReason }
+ * embed(texts, { signal? }) → number[][]
+ * Each provider has an `id` that names its vector space (stored with the KB snapshot) and a `describe()` for status pages.
+ */
+
+export const PROVIDERS = ["openai","openai-compatible","mock"];
+const MOCK_DIM = 256;
+
+function client({ provider, apiKey, baseURL, apiVersion }){
+  if(!PROVIDERS.includes(provider)) throw new Error("unknown provider '"+provider+"' (use "+PROVIDERS.join(", ")+")");
+  if(provider==="openai" && !apiKey) throw new Error("provider 'openai' needs OPENAI_API_KEY (set LLM_PROVIDER=mock to run offline)");
+  if(provider==="openai-compatible" && !baseURL) throw new Error("provider 'openai-compatible' needs a base URL");
+  // Retries and timeouts are handled by resilience.js, not the SDK.
+  // Azure OpenAI: key in an api-key header and an api-version query parameter on every call.
+  const azure=apiVersion? { defaultQuery:{ "api-version":apiVersion }, defaultHeaders:{ "api-key":apiKey||"" } } : {};
+  return new OpenAI({ apiKey:apiKey||"not-needed", maxRetries:0, ...(provider==="openai-compatible"?{ baseURL }:{}), ...azure });
+}
+function host(u){ try{ return new URL(u).host; }catch{ return String(u); } }
+
+// ----- OpenAI / OpenAI-compatible -----
+function openaiChat(opts){
+  const api=client(opts), { model }=opts;
+  // Always streamed; tool-call fragments are stitched together by index.
+  async function chat({ messages, tools, temperature=0.15, signal, onDelta }){
+    const stream=await api.chat.completions.create({ model, temperature, messages, stream:true, ...(tools?.length?{ tools }:{}) },{ signal });
+    let text="", finishReason=null; const calls=[];
+    for await (const part of stream){
+      const c=part.choices?.[0]; if(!c) continue;
+      if(c.delta?.content){ text+=c.delta.content; onDelta?.(c.delta.content); }
+      for(const tc of c.delta?.tool_calls||[]){
+        const call=calls[tc.index]||(calls[tc.index]={ id:"", type:"function", function:{ name:"", arguments:"" } });
+        if(tc.id) call.id=tc.id;
+        if(tc.function?.name) call.function.name+=tc.function.name;
+        if(tc.function?.arguments) call.function.arguments+=tc.function.arguments;
+      }
+      finishReason=c.finish_reason||finishReason;
+    }
+    return { text, toolCalls:calls.filter(Boolean), finishReason };
+  }
+  return { id:opts.provider==="openai"? model : model+"@"+host(opts.baseURL), model, chat, describe:()=>({ provider:opts.provider, model, ...(opts.baseURL?{ host:host(opts.baseURL) }:{}) }) };
+}
+function openaiEmbed(opts){
+  const api=client(opts), { model }=opts;
+  async function embed(texts, { signal }={}){
+    const r=await api.embeddings.create({ model, input:texts },{ signal });
+    return r.data.sort((a,b)=>a.index-b.index).map(e=>e.embedding);
+  }
+  return { id:opts.provider==="openai"? model : model+"@"+host(opts.baseURL), model, embed, describe:()=>({ provider:opts.provider, model, ...(opts.baseURL?{ host:host(opts.baseURL) }:{}) }) };
+}
+
+// ----- Offline mock -----
+// Feature hashing over words, word bigrams and character trigrams; unit length so cosine works as usual.
+export function hashEmbedding(text, dim=MOCK_DIM){
+  const v=new Array(dim).fill(0);
+  const words=String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const add=(f,w)=>{ const h=fnv(f); v[h%dim]+=(h&0x80000000? -w : w); };
+  words.forEach((w,i)=>{
+    add("w:"+w,1);
+    if(i) add("b:"+words[i-1]+" "+w,0.5);
+    const p="#"+w+"#"; for(let j=0;j+3<=p.length;j++) add("c:"+p.slice(j,j+3),0.25);
+  });
+  const n=Math.hypot(...v)||1;
+  return v.map(x=>x/n);
+}
+
+const MOCK_TEXT = {
+  en:{ found:"(Offline mode) From our site:", none:"(Offline mode) I don't have that information. Would you like to talk to our team?" },
+  fi:{ found:"(Offline-tila) Sivustoltamme:", none:"(Offline-tila) Minulla ei ole tätä tietoa. Haluatko jutella tiimimme kanssa?" },
+  sv:{ found:"(Offline-läge) Från vår webbplats:", none:"(Offline-läge) Jag har inte den informationen. Vill du prata med vårt team?" }
+};
+// The reply quotes the first sentences of the top-ranked source, in the language the system prompt asks for.
+function mockReply(messages){
+  const sys=messages.find(m=>m.role==="system")?.content||"";
+  if(!/^Knowledge:/m.test(sys)) return "Summary: "+messages.filter(m=>m.role!=="system").map(m=>m.content).join(" ").replace(/\s+/g," ").slice(0,400);
+  const lang=/Answer in Finnish/.test(sys)? "fi" : /Answer in Swedish/.test(sys)? "sv" : "en";
+  const m=sys.match(/\[Source 1\][^\n]*\n([\s\S]*?)(?:\n\n|$)/);
+  if(!m) return MOCK_TEXT[lang].none+" [[handoff]]";
+  const lines=m[1].split("\n"), body=(lines.length>1? lines.slice(1) : lines).join(" ");   // chunks start with a "Title › Section" line
+  const snippet=(body.match(/^.*?[.!?](?:\s.*?[.!?])?(?=\s|$)/)?.[0]||body).slice(0,280);
+  return MOCK_TEXT[lang].found+" "+snippet+" [1]";
+}
+function mockChat(){
+  async function chat({ messages, signal, onDelta }){
+    const text=mockReply(messages);
+    if(onDelta) for(const piece of text.match(/\S+\s*/g)||[]){ if(signal?.aborted) break; onDelta(piece); await new Promise(r=>setImmediate(r)); }
+    return { text, toolCalls:[], finishReason:signal?.aborted? null : "stop" };
+  }
+  return { id:"mock", model:"mock", chat, describe:()=>({ provider:"mock", model:"templated" }) };
+}
+function mockEmbed(){
+  async function embed(texts){ return texts.map(t=>hashEmbedding(t)); }
+  return { id:"mock-hash-"+MOCK_DIM, model:"hash-"+MOCK_DIM, embed, describe:()=>({ provider:"mock", model:"hash-"+MOCK_DIM }) };
+}
+
+// opts: { provider, model, baseURL?, apiKey?, apiVersion? }
+export function createChatProvider(opts){ return opts.provider==="mock"? mockChat() : openaiChat(opts); }
+export function createEmbedProvider(opts){ return opts.provider==="mock"? mockEmbed() : openaiEmbed(opts); }
+
+/**
+ * Provider options from the environment, shared by the server and the scripts.
+ * LLM_PROVIDER = openai (default) | openai-compatible (LLM_BASE_URL: Ollama, vLLM, LM Studio, Azure with LLM_API_VERSION) | mock (offline).
+ * The mock is only used when asked for: a missing or placeholder key is a config error, not a reason to answer from templates.
+ * Embeddings follow the chat provider unless EMBED_PROVIDER (+ EMBED_BASE_URL / EMBED_API_KEY / EMBED_API_VERSION) says otherwise.
+ * → { chat, embed, openaiKey }
+ */
+export function providerSettings(env=process.env){
+  const openaiKey=(env.OPENAI_API_KEY || "").startsWith("sk-your_")? "" : (env.OPENAI_API_KEY || "");
+  const chat={
+    provider:env.LLM_PROVIDER || "openai",
+    baseURL:env.LLM_BASE_URL || "", apiKey:env.LLM_API_KEY || openaiKey, apiVersion:env.LLM_API_VERSION || "",
+    model:env.CHAT_MODEL || "gpt-4o-mini"
+  };
+  const p=env.EMBED_PROVIDER || chat.provider;
+  const embed={
+    provider:p,
+    ...(p===chat.provider? { baseURL:chat.baseURL, apiKey:chat.apiKey, apiVersion:chat.apiVersion } : { apiKey:openaiKey }),
+    ...(env.EMBED_BASE_URL?{ baseURL:env.EMBED_BASE_URL }:{}), ...(env.EMBED_API_KEY?{ apiKey:env.EMBED_API_KEY }:{}), ...(env.EMBED_API_VERSION?{ apiVersion:env.EMBED_API_VERSION }:{}),
+    model:env.EMBED_MODEL || "text-embedding-3-small"
+  };
+  return { chat, embed, openaiKey };
+}
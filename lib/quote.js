@@ -0,0 +1,116 @@
+import { EMAIL_RE, PHONE_RE } from "./leads.js";
+
+/**
+ * Guided quote intake (OpenAI tool calling)
+ * - update_quote_brief: the model records whatever the visitor has told so far; every field is validated
+ * - submit_quote_brief: only succeeds once nothing required is missing and the visitor has confirmed
+ * - Each tool result lists the fields still missing, so the model only asks for those
+ */
+
+export const PROJECT_TYPES = ["commercial","event","drone","documentary","corporate","social-media","music-video","animation","other"];
+export const LOCATIONS = ["vaasa","helsinki","other"];
+export const BUDGETS = ["under-2k","2k-5k","5k-10k","10k-25k","25k-plus","not-sure"];
+export const REQUIRED = ["projectType","location","dates","deliverables","budget","name","contact"];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TEXT_MAX = { locationDetail:120, datesNote:200, description:1000, name:120, email:200, phone:40, company:160 };
+
+export const QUOTE_TOOLS = [
+  { type:"function", function:{
+    name:"update_quote_brief",
+    description:"Record project details for a quote request as soon as the visitor mentions them. Send only the fields you learned; call again when something changes.",
+    parameters:{ type:"object", additionalProperties:false, properties:{
+      projectType:{ type:"string", enum:PROJECT_TYPES },
+      location:{ type:"string", enum:LOCATIONS, description:"Where the filming happens" },
+      locationDetail:{ type:"string", description:"City or venue when location is 'other'" },
+      startDate:{ type:"string", description:"First shooting day, YYYY-MM-DD" },
+      endDate:{ type:"string", description:"Last shooting day, YYYY-MM-DD, if more than one day" },
+      datesNote:{ type:"string", description:"Timing in words when there is no exact date yet, e.g. 'flexible, May 2027'" },
+      deliverables:{ type:"array", items:{ type:"string" }, description:"e.g. '60 s commercial', '3 social cut-downs', 'raw drone footage'" },
+      budget:{ type:"string", enum:BUDGETS, description:"Budget range in euros (VAT 0%)" },
+      description:{ type:"string", description:"Anything else about the project" },
+      name:{ type:"string" }, email:{ type:"string" }, phone:{ type:"string" }, company:{ type:"string" }
+    } }
+  } },
+  { type:"function", function:{
+    name:"submit_quote_brief",
+    description:"Send the finished brief to the production team. Only call after summarizing the brief to the visitor and getting their confirmation.",
+    parameters:{ type:"object", additionalProperties:false, properties:{ confirmed:{ type:"boolean" } }, required:["confirmed"] }
+  } }
+];
+
+function text(v, max){ return String(v??"").replace(/\s+/g," ").trim().slice(0,max); }
+function today(){ return new Date().toISOString().slice(0,10); }
+function validDate(s){ return ISO_DATE.test(s) && !Number.isNaN(Date.parse(s+"T00:00:00Z")) && new Date(s+"T00:00:00Z").toISOString().startsWith(s); }
+
+// Validates the fields present in `input` against what is already in `current`.
+// Returns { values, errors }: values holds only the accepted fields, errors explains each rejected one.
+export function validateQuoteFields(input, current={}){
+  const values={}, errors=[];
+  const set=(k,v)=>{ values[k]=v; };
+  for(const [k,v] of Object.entries(input||{})){
+    if(v==null || v==="") continue;
+    switch(k){
+      case "projectType": PROJECT_TYPES.includes(v)? set(k,v) : errors.push("projectType must be one of "+PROJECT_TYPES.join(", ")); break;
+      case "location": LOCATIONS.includes(v)? set(k,v) : errors.push("location must be one of "+LOCATIONS.join(", ")); break;
+      case "budget": BUDGETS.includes(v)? set(k,v) : errors.push("budget must be one of "+BUDGETS.join(", ")); break;
+      case "startDate": case "endDate":
+        if(!validDate(v)) errors.push(k+" must be a real date as YYYY-MM-DD");
+        else if(v<today()) errors.push(k+" is in the past");
+        else set(k,v);
+        break;
+      case "deliverables": {
+        const list=(Array.isArray(v)?v:[v]).map(d=>text(d,120)).filter(Boolean).slice(0,10);
+        list.length? set(k,list) : errors.push("deliverables must list at least one item");
+        break;
+      }
+      case "email": EMAIL_RE.test(text(v,TEXT_MAX.email))? set(k,text(v,TEXT_MAX.email)) : errors.push("email is not valid"); break;
+      case "phone": PHONE_RE.test(text(v,TEXT_MAX.phone))? set(k,text(v,TEXT_MAX.phone)) : errors.push("phone is not valid"); break;
+      default: if(TEXT_MAX[k]) set(k,text(v,TEXT_MAX[k]));
+    }
+  }
+  const start=values.startDate||current.startDate, end=values.endDate||current.endDate;
+  if(start && end && end<start){ delete values.endDate; errors.push("endDate is before startDate"); }
+  return { values, errors };
+}
+
+export function missingFields(f){
+  const has={
+    projectType:!!f.projectType,
+    location:!!f.location && (f.location!=="other" || !!f.locationDetail),
+    dates:!!(f.startDate || f.datesNote),
+    deliverables:!!f.deliverables?.length,
+    budget:!!f.budget,
+    name:!!f.name,
+    contact:!!(f.email || f.phone)
+  };
+  return REQUIRED.filter(k=>!has[k]);
+}
+
+// The brief the team receives; contact details live on the lead record next to it.
+export function buildBrief(f){
+  return {
+    projectType:f.projectType, location:f.location==="other"? f.locationDetail : f.location,
+    dates:{ start:f.startDate||null, end:f.endDate||null, note:f.datesNote||null },
+    deliverables:f.deliverables, budget:f.budget, description:f.description||""
+  };
+}
+export function briefSummary(b){
+  const when=b.dates.start? b.dates.start+(b.dates.end&&b.dates.end!==b.dates.start?" – "+b.dates.end:"") : b.dates.note;
+  return "Quote: "+b.projectType+" in "+b.location+", "+when+"; "+b.deliverables.join(", ")+"; budget "+b.budget;
+}
+
+const CSV_COLUMNS = ["id","createdAt","status","name","email","phone","company","projectType","location","startDate","endDate","datesNote","deliverables","budget","description","lang"];
+// Cells that a spreadsheet would run as a formula are prefixed with an apostrophe (plain numbers such as "+358 40…" are left alone).
+function csvCell(v){
+  let s=String(v??""); if(/^[=@\t\r]/.test(s) || /^[+-](?![\d\s().-]*$)/.test(s)) s="'"+s;
+  return /[",\n\r]/.test(s)? '"'+s.replace(/"/g,'""')+'"' : s;
+}
+export function briefsToCsv(leads){
+  const rows=leads.map(l=>{
+    const b=l.brief||{};
+    const r={ ...l, ...b, startDate:b.dates?.start, endDate:b.dates?.end, datesNote:b.dates?.note, deliverables:(b.deliverables||[]).join("; ") };
+    return CSV_COLUMNS.map(c=>csvCell(r[c])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n")+"\r\n";
+}
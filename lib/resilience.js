@@ -0,0 +1,110 @@
+/**
+ * Resilience for upstream model calls
+ * - Per-call timeout (combined with the caller's abort signal)
+ * - Retries with exponential backoff + full jitter on 429 / 5xx / timeouts / connection errors; Retry-After is honoured
+ * - Circuit breaker: after `failures` consecutive failures calls fail fast for `cooldownMs`, then one trial call is let through
+ * - Every failure comes out as an Error with a stable `code` and an HTTP `status` the API can answer with
+ */
+
+// code → HTTP status the server answers with
+export const ERROR_STATUS = { bad_request:400, too_many_requests:429, payload_too_large:413, budget_exhausted:503, rate_limited:503, unavailable:503, circuit_open:503, timeout:504, upstream_error:502, internal:500, aborted:499 };
+
+export function codedError(code, message, { cause, retryAfterMs }={}){
+  return Object.assign(new Error(message),{ code, status:ERROR_STATUS[code]||500, ...(cause?{ cause }:{}), ...(retryAfterMs?{ retryAfterMs }:{}) });
+}
+
+function header(h, name){ if(!h) return null; return typeof h.get==="function"? h.get(name) : h[name]??null; }
+// Retry-After (seconds or HTTP date) or OpenAI's retry-after-ms, in milliseconds.
+export function retryAfterMs(e){
+  const ms=Number(header(e?.headers,"retry-after-ms")); if(ms>0) return ms;
+  const ra=header(e?.headers,"retry-after"); if(!ra) return 0;
+  const s=Number(ra); const v=Number.isFinite(s)? s*1000 : Date.parse(ra)-Date.now();
+  return v>0? v : 0;
+}
+
+// Maps SDK / fetch errors onto our codes. Upstream messages are kept for logs only.
+export function classify(e){
+  if(e?.code && ERROR_STATUS[e.code]) return e;
+  const status=Number(e?.status)||0, msg=e?.message||String(e);
+  if(status===429) return codedError("rate_limited","upstream rate limit: "+msg,{ cause:e, retryAfterMs:retryAfterMs(e) });
+  if(status>=500 || (!status && /connect|network|socket|ECONN|ETIMEDOUT|EAI_AGAIN|fetch failed/i.test(msg+" "+(e?.cause?.code||"")))) return codedError("unavailable","upstream unavailable: "+msg,{ cause:e, retryAfterMs:retryAfterMs(e) });
+  return codedError("upstream_error","upstream error: "+msg,{ cause:e });
+}
+const RETRYABLE = new Set(["rate_limited","unavailable","timeout"]);
+// Requests the upstream rejected as malformed say nothing about its health.
+function countsAsFailure(err){ const s=Number(err.cause?.status)||0; return !(s===400 || s===413 || s===422); }
+
+export function createBreaker({ name="upstream", failures=5, cooldownMs=30e3 }={}){
+  let state="closed", streak=0, openedAt=0, trial=false, lastError=null;
+  async function run(fn){
+    if(state==="open"){
+      const left=openedAt+cooldownMs-Date.now();
+      if(left>0) throw codedError("circuit_open",name+" circuit open",{ retryAfterMs:left });
+      state="half-open";
+    }
+    if(state==="half-open"){
+      if(trial) throw codedError("circuit_open",name+" circuit half-open, trial call in flight",{ retryAfterMs:1000 });
+      trial=true;
+    }
+    try{
+      const r=await fn();
+      if(state!=="closed") console.log("✅ "+name+" circuit closed");
+      state="closed"; streak=0; trial=false;
+      return r;
+    }catch(e){
+      trial=false;
+      if(e?.code!=="aborted" && countsAsFailure(e)){
+        streak++; lastError={ at:new Date().toISOString(), code:e.code, message:e.message };
+        if(state==="half-open" || streak>=failures){
+          if(state!=="open") console.log("⚠️ "+name+" circuit open for "+Math.round(cooldownMs/1000)+"s after", streak, "failure(s):", e.message);
+          state="open"; openedAt=Date.now();
+        }
+      }else if(state==="half-open"){ state=e?.code==="aborted"? "open" : "closed"; if(state==="closed") streak=0; }
+      throw e;
+    }
+  }
+  function status(){
+    return { state, failures:streak, ...(state==="open"?{ retryAt:new Date(openedAt+cooldownMs).toISOString() }:{}), ...(lastError?{ lastError }:{}) };
+  }
+  return { run, status, get open(){ return state==="open" && Date.now()<openedAt+cooldownMs; } };
+}
+
+/**
+ * One upstream call: fn(signal) with a timeout, retried while retryable.
+ * opts: { timeoutMs, retries, baseMs, maxMs, signal, canRetry?() } — canRetry lets streaming calls stop retrying once output was sent.
+ */
+export async function callWithRetry(fn, { timeoutMs=30e3, retries=2, baseMs=500, maxMs=8e3, signal, canRetry=()=>true }={}){
+  for(let attempt=0;;attempt++){
+    if(signal?.aborted) throw codedError("aborted","aborted by caller");
+    const timer=AbortSignal.timeout(timeoutMs);
+    const combined=signal? AbortSignal.any([signal,timer]) : timer;
+    let err;
+    try{
+      const r=await fn(combined);
+      // The OpenAI SDK ends a stream quietly when aborted, so a timeout can look like a short answer.
+      if(!timer.aborted || signal?.aborted) return r;
+      err=codedError("timeout","upstream call timed out after "+timeoutMs+"ms");
+    }catch(e){
+      if(signal?.aborted) throw codedError("aborted","aborted by caller",{ cause:e });
+      err=timer.aborted? codedError("timeout","upstream call timed out after "+timeoutMs+"ms",{ cause:e }) : classify(e);
+    }
+    if(!RETRYABLE.has(err.code) || attempt>=retries || !canRetry()) throw err;
+    // A server asking us to wait longer than we would is not retried here; the caller degrades instead.
+    if(err.retryAfterMs>maxMs) throw err;
+    const wait=err.retryAfterMs || Math.random()*Math.min(maxMs,baseMs*2**attempt);
+    console.log("· retrying upstream call in", Math.round(wait)+"ms ("+err.code+", attempt "+(attempt+2)+"/"+(retries+1)+")");
+    await new Promise(r=>setTimeout(r,wait));
+  }
+}
+
+// Wraps a chat or embedding provider (see providers.js) with timeout, retries and its own breaker.
+export function resilientProvider(provider, { name, timeoutMs, retries, failures, cooldownMs }={}){
+  const breaker=createBreaker({ name:name||provider.describe().provider, failures, cooldownMs });
+  const out={ ...provider, breaker, describe:()=>({ ...provider.describe(), circuit:breaker.status() }) };
+  if(provider.chat) out.chat=(opts)=>breaker.run(()=>{
+    let sent=false; const onDelta=opts.onDelta&&(d=>{ sent=true; opts.onDelta(d); });
+    return callWithRetry(signal=>provider.chat({ ...opts, signal, onDelta }),{ timeoutMs, retries, signal:opts.signal, canRetry:()=>!sent });
+  });
+  if(provider.embed) out.embed=(texts, { signal }={})=>breaker.run(()=>callWithRetry(s=>provider.embed(texts,{ signal:s }),{ timeoutMs, retries, signal }));
+  return out;
+}
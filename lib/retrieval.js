@@ -0,0 +1,184 @@
+/**
+ * Sparse retrieval + ranking helpers
+ * - Inverted index with BM25F: per-field term frequencies (title, headings, body), each length-normalized and boosted
+ * - Reciprocal rank fusion of several rankings (dense, sparse), so raw scores never need calibrating against each other
+ * - MMR selection: relevance traded against similarity to what was already picked, with a cap per URL
+ * - createRetriever: the hybrid pipeline (dense + BM25 → RRF → MMR → prompt context) used by the server and scripts/eval.js
+ */
+
+export const BM25_DEFAULTS = { k1:1.2, b:0.75, boosts:{ title:2.5, headings:1.5, body:1 } };
+const FIELDS = ["title","headings","body"];
+
+// The fields of a KB chunk. Chunk text starts with a "Title › Section" line when the page has a title or headings.
+export function chunkFields(d){
+  const body=(d.title||d.headings?.length)? d.chunk.slice(d.chunk.indexOf("\n")+1) : d.chunk;
+  return { title:d.title||"", headings:(d.headings||[]).join(" "), body };
+}
+
+/**
+ * Builds the index over kb chunks ({ id, lang, … }). analyze(text, lang) → terms; each chunk is analyzed in its own language.
+ * search(terms, allow?) → Map(id → BM25F score) over the chunks that contain at least one term.
+ */
+export function createSparseIndex(kb, { analyze, k1=BM25_DEFAULTS.k1, b=BM25_DEFAULTS.b, boosts=BM25_DEFAULTS.boosts, onProgress }={}){
+  const postings=new Map();          // term → [{ id, tf:[title, headings, body] }]
+  const lengths=new Map();           // id → [title, headings, body] token counts
+  const totals=[0,0,0];
+  for(const d of kb){
+    const f=chunkFields(d), len=[0,0,0];
+    const counts=new Map();
+    FIELDS.forEach((name,i)=>{
+      const terms=analyze(f[name],d.lang); len[i]=terms.length; totals[i]+=terms.length;
+      for(const t of terms){ let c=counts.get(t); if(!c) counts.set(t,c=[0,0,0]); c[i]++; }
+    });
+    lengths.set(d.id,len);
+    for(const [t,tf] of counts){ let p=postings.get(t); if(!p) postings.set(t,p=[]); p.push({ id:d.id, tf }); }
+    onProgress?.();
+  }
+  const N=kb.length||1, avg=totals.map(n=>n/N||1);
+  const weights=FIELDS.map(f=>boosts[f]??1);
+  // Lucene-style idf: never negative, so very common terms just stop counting.
+  const idf=t=>{ const df=postings.get(t)?.length||0; return Math.log(1+(N-df+0.5)/(df+0.5)); };
+
+  function search(terms, allow){
+    const scores=new Map();
+    for(const t of new Set(terms)){
+      const list=postings.get(t); if(!list) continue;
+      const w=idf(t);
+      for(const { id, tf } of list){
+        if(allow && !allow(id)) continue;
+        const len=lengths.get(id); let x=0;
+        for(let i=0;i<3;i++) if(tf[i]) x+=weights[i]*tf[i]/(1-b+b*len[i]/avg[i]);
+        scores.set(id,(scores.get(id)||0)+w*x/(k1+x));
+      }
+    }
+    return scores;
+  }
+  return { search, idf, get vocab(){ return postings.size; }, get size(){ return lengths.size; } };
+}
+
+// rankings: [{ ids:[…best first], weight? }] → Map(id → fused score). k dampens the head of each list.
+export function rrf(rankings, { k=60 }={}){
+  const fused=new Map();
+  for(const { ids, weight=1 } of rankings) ids.forEach((id,r)=>fused.set(id,(fused.get(id)||0)+weight/(k+r+1)));
+  return fused;
+}
+
+/**
+ * candidates: [{ d, score }] best first. Picks up to `k`, at most `perUrl` per URL.
+ * sim(a, b) → 0..1 between two chunks; lambda=1 is pure relevance.
+ */
+export function mmr(candidates, { k, lambda=0.7, perUrl=Infinity, sim }){
+  const top=candidates[0]?.score||1, picked=[], perUrlCount=new Map();
+  let pool=candidates.slice();
+  while(picked.length<k && pool.length){
+    let best=-1, bestVal=-Infinity;
+    for(let i=0;i<pool.length;i++){
+      const c=pool[i];
+      if((perUrlCount.get(c.d.url)||0)>=perUrl) continue;
+      let maxSim=0; for(const p of picked) maxSim=Math.max(maxSim,sim(c.d,p.d));
+      const val=lambda*c.score/top-(1-lambda)*maxSim;
+      if(val>bestVal){ bestVal=val; best=i; }
+    }
+    if(best<0) break;
+    const [c]=pool.splice(best,1);
+    picked.push(c); perUrlCount.set(c.d.url,(perUrlCount.get(c.d.url)||0)+1);
+  }
+  return picked;
+}
+
+// ----- Hybrid pipeline -----
+// Retrieval knobs from the environment. The server and scripts/eval.js both read them here, so an evaluation ranks like production.
+export function retrievalSettings(env=process.env){
+  const topK=Number(env.TOP_K) || 12;
+  return {
+    topK,
+    maxContext:Number(env.MAX_CONTEXT) || 9000,   // characters of knowledge in the prompt
+    denseCandidates:topK*4,                       // dense hits handed to rank fusion
+    fallbackLangWeight:0.85,                      // English chunks compete with, but rank below, equally relevant chunks in the visitor's language
+    bm25:{
+      k1:Number(env.BM25_K1 ?? BM25_DEFAULTS.k1), b:Number(env.BM25_B ?? BM25_DEFAULTS.b),
+      boosts:{ title:Number(env.BM25_TITLE_BOOST ?? BM25_DEFAULTS.boosts.title), headings:Number(env.BM25_HEADINGS_BOOST ?? BM25_DEFAULTS.boosts.headings), body:1 }
+    },
+    fusion:{ k:Number(env.RRF_K) || 60, dense:Number(env.FUSION_DENSE_WEIGHT ?? 1), sparse:Number(env.FUSION_SPARSE_WEIGHT ?? 1) },
+    mmrLambda:Number(env.MMR_LAMBDA ?? 0.7),      // 1 = rank by relevance only
+    maxPerUrl:Number(env.MAX_CHUNKS_PER_URL) || 3,
+    vectors:{
+      quantize:env.VECTOR_QUANT || "none",          // "int8" quarters the memory of the vector matrix
+      annMin:Number(env.ANN_MIN_VECTORS) || 5000,   // IVF approximate search from this many vectors; brute force below
+      nlist:Number(env.ANN_NLIST) || 0, nprobe:Number(env.ANN_NPROBE) || 0   // 0 = √n lists, probe 10%
+    }
+  };
+}
+
+// The chunk body without its "Title › Section" prefix line, cut on a word boundary.
+export function snippet(d, max=240){
+  const { body }=chunkFields(d);
+  return body.length<=max? body : body.slice(0,max).replace(/\s+\S*$/,"")+"…";
+}
+// Cosine when both chunks are in the vector index, otherwise term overlap (Jaccard); term sets are cached for one query.
+function chunkSimilarity(vectors, analyze){
+  const sets=new Map(), terms=d=>{ let t=sets.get(d.id); if(!t) sets.set(d.id,t=new Set(analyze(d.chunk,d.lang))); return t; };
+  return (a,b)=>{
+    const c=vectors.similarity(a.id,b.id); if(c!=null) return Math.max(0,c);
+    const x=terms(a), y=terms(b); let n=0; for(const t of x) if(y.has(t)) n++;
+    return n/((x.size+y.size-n)||1);
+  };
+}
+
+/**
+ * opts: retrievalSettings() + { analyze(text, lang), embedQuery(text) → vector, onEmbedError? }
+ * retrieve(index, query, lang, { explain? }) with index = { kb, sparse, vectors, pages }
+ *   → { ctx, sources:[{ id, url, title, section, snippet }], qv, trace? }
+ * Chunks in `lang` are preferred; English is the fallback for pages without an indexed translation, other locales are left out.
+ * Dense and BM25 rankings are fused by rank (RRF); MMR then picks topK sources, at most maxPerUrl from one page.
+ * explain adds trace = { terms:{ lang→terms }, dense (query vector used), candidates:[{ rank, id, url, lang, title, section,
+ *   dense (cosine), denseRank, sparse (BM25F), sparseRank, fused (RRF), score (after the language weight), pick, source, status }] };
+ *   status is "context" (in the prompt), "budget" (picked, but past maxContext) or "mmr" (not picked: redundant or per-URL cap).
+ */
+export function createRetriever({ analyze, embedQuery, onEmbedError, topK, maxContext, denseCandidates, fallbackLangWeight, fusion, mmrLambda, maxPerUrl }){
+  return async function retrieve({ kb, sparse, vectors, pages }, query, lang="en", { explain=false }={}){
+    if(!kb.length) return { ctx:"", sources:[], qv:null };
+    // Without a query vector (embeddings down) ranking falls back to BM25 alone.
+    let qv=null;
+    try{ qv=await embedQuery(query); }
+    catch(e){ onEmbedError?.(e); }
+    const byId=new Map();
+    for(const d of kb){
+      if(d.lang!==lang && (d.lang!=="en" || pages.has(pages.get(d.url)?.alternates?.[lang]))) continue;
+      byId.set(d.id,d);
+    }
+    const dense=qv? vectors.search(qv,{ k:denseCandidates, allow:id=>byId.has(id) }).filter(x=>x.s>0) : [];
+    // English fallback chunks were indexed with the English analyzer, so the query is analyzed once per language in play.
+    const bm25=[], terms={};
+    for(const l of new Set([lang,"en"])){
+      terms[l]=analyze(query,l);
+      for(const [id,s] of sparse.search(terms[l],id=>byId.get(id)?.lang===l)) bm25.push({ id, s });
+    }
+    const ranked=list=>list.sort((a,b)=>b.s-a.s).map(x=>x.id);
+    const denseIds=ranked(dense), sparseIds=ranked(bm25);
+    const fused=rrf([{ ids:denseIds, weight:fusion.dense }, { ids:sparseIds, weight:fusion.sparse }],{ k:fusion.k });
+    const candidates=[...fused].map(([id,score])=>{ const d=byId.get(id); return { d, score:score*(d.lang===lang?1:fallbackLangWeight) }; })
+      .sort((a,b)=>b.score-a.score).slice(0,topK*3);
+    let ctx=""; const sources=[], picks=mmr(candidates,{ k:topK, lambda:mmrLambda, perUrl:maxPerUrl, sim:chunkSimilarity(vectors,analyze) });
+    const sourceOf=new Map();
+    for(const { d } of picks){
+      if(ctx.length+d.chunk.length>maxContext) break;
+      const alt=d.lang!==lang && pages.get(d.url)?.alternates?.[lang];
+      const url=alt && pages.has(alt)? alt : d.url;   // cite the visitor's language version only when that page is indexed
+      const id=sources.length+1;
+      ctx += "[Source "+id+"] "+url+"\n"+d.chunk+"\n\n";
+      sources.push({ id, url, title:d.title||"", section:(d.headings||[]).join(" › "), snippet:snippet(d) });
+      sourceOf.set(d.id,id);
+    }
+    if(!explain) return { ctx, sources, qv };
+    const pickOf=new Map(picks.map((p,i)=>[p.d.id,i+1])), bm25Of=new Map(bm25.map(x=>[x.id,x.s]));
+    const rankIn=(ids,id)=>{ const i=ids.indexOf(id); return i<0? null : i+1; };
+    const trace={ terms, dense:!!qv, candidates:candidates.map(({ d, score },i)=>({
+      rank:i+1, id:d.id, url:d.url, lang:d.lang, title:d.title||"", section:(d.headings||[]).join(" › "),
+      dense:qv? vectors.cosine(qv,d.id) : null, denseRank:rankIn(denseIds,d.id), sparse:bm25Of.get(d.id)??null, sparseRank:rankIn(sparseIds,d.id),
+      fused:fused.get(d.id), score, pick:pickOf.get(d.id)??null, source:sourceOf.get(d.id)??null,
+      status:sourceOf.has(d.id)? "context" : pickOf.has(d.id)? "budget" : "mmr"
+    })) };
+    return { ctx, sources, qv, trace };
+  };
+}
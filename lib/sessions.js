@@ -0,0 +1,57 @@
+import { randomUUID } from "node:crypto";
+import { estimateTokens } from "./chunker.js";
+
+/**
+ * Server-side chat sessions
+ * - In memory, keyed by a random id; idle sessions expire, the oldest are evicted past maxSessions
+ * - History is token-bounded: when over budget, older turns are folded into a running summary
+ *   (summarize() is supplied by the caller; if it fails the old turns are simply dropped)
+ * - A separate, uncompacted log keeps the full transcript (last MAX_LOG messages) for handoffs
+ */
+
+const MAX_LOG = 200;
+
+export function createSessionStore({ ttlMs=60*60e3, maxSessions=5000, maxHistoryTokens=1500, keepTurns=6, summarize }={}){
+  const sessions=new Map();   // insertion order doubles as LRU order
+
+  function touch(s){ s.updatedAt=Date.now(); sessions.delete(s.id); sessions.set(s.id,s); return s; }
+  function expired(s){ return Date.now()-s.updatedAt>ttlMs; }
+
+  function get(id){
+    const s=id && sessions.get(id);
+    if(!s) return null;
+    if(expired(s)){ sessions.delete(id); return null; }
+    return s;
+  }
+  function create(){
+    while(sessions.size>=maxSessions) sessions.delete(sessions.keys().next().value);
+    const s={ id:randomUUID(), createdAt:Date.now(), updatedAt:Date.now(), summary:"", turns:[], log:[] };
+    sessions.set(s.id,s);
+    return s;
+  }
+  // Unknown or expired ids get a fresh session; callers return its id to the client.
+  function getOrCreate(id){ const s=get(id); return s? touch(s) : create(); }
+
+  function append(s, role, content){
+    const turn={ role, content, at:Date.now() };
+    s.turns.push(turn); s.log.push(turn); if(s.log.length>MAX_LOG) s.log.shift();
+    touch(s);
+  }
+  function transcript(s){ return s? s.log.map(t=>({ role:t.role, content:t.content, at:new Date(t.at).toISOString() })) : []; }
+
+  function historyTokens(s){ return estimateTokens(s.summary)+s.turns.reduce((n,t)=>n+estimateTokens(t.content),0); }
+
+  // Keeps the last keepTurns turns verbatim; everything older goes into the summary once over budget.
+  async function compact(s){
+    if(historyTokens(s)<=maxHistoryTokens || s.turns.length<=keepTurns) return;
+    const old=s.turns.slice(0,s.turns.length-keepTurns);
+    s.turns=s.turns.slice(-keepTurns);
+    try{ if(summarize) s.summary=await summarize(s.summary,old); }
+    catch(e){ console.log("⚠️ Session summary failed:", e?.message||String(e)); }
+  }
+
+  function sweep(){ for(const s of sessions.values()) if(expired(s)) sessions.delete(s.id); }
+  setInterval(sweep,Math.min(ttlMs,10*60e3)).unref();
+
+  return { get, create, getOrCreate, append, compact, historyTokens, transcript, get size(){ return sessions.size; } };
+}
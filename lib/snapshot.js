@@ -0,0 +1,43 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * On-disk KB snapshot
+ * - Holds pages (validators + extracted text), chunks, vectors, embedding model and crawl timestamps
+ * - The sparse index is not stored; it is rebuilt from the chunks on load (v2 files still load, their tf/idf is ignored)
+ * - Vectors are stored as base64 Float32 so the file stays a few MB
+ * - Written to a temp file and renamed, so a crash never leaves half a snapshot
+ */
+
+export const SNAPSHOT_VERSION = 3;
+const READABLE = [2,3];
+
+function encodeVec(v){ return Buffer.from(new Float32Array(v).buffer).toString("base64"); }
+function decodeVec(s){ return Array.from(new Float32Array(new Uint8Array(Buffer.from(s,"base64")).buffer)); }
+
+export async function saveSnapshot(file, { meta, kb, pages }){
+  const snap={
+    version:SNAPSHOT_VERSION, savedAt:new Date().toISOString(), ...meta,
+    pages:Array.from(pages.values()),
+    kb:kb.map(d=>({ ...d, vec:Array.isArray(d.vec)?encodeVec(d.vec):undefined }))
+  };
+  await fs.mkdir(path.dirname(file),{recursive:true});
+  const tmp=file+".tmp";
+  await fs.writeFile(tmp,JSON.stringify(snap));
+  await fs.rename(tmp,file);
+  return snap.savedAt;
+}
+
+// Returns null when there is no snapshot or it was written by an incompatible version.
+export async function loadSnapshot(file){
+  let raw;
+  try{ raw=await fs.readFile(file,"utf8"); }catch(e){ if(e.code==="ENOENT") return null; throw e; }
+  const snap=JSON.parse(raw);
+  if(!READABLE.includes(snap?.version)) return null;
+  const { kb, idf, tf, pages, ...meta }=snap;
+  return {
+    meta,
+    pages:new Map(pages.map(p=>[p.url,p])),
+    kb:kb.map(d=>({ ...d, vec:d.vec?decodeVec(d.vec):undefined }))
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Dense vector index
+ * - Embeddings are L2-normalized once into one contiguous Float32Array, so similarity is a plain dot product
+ * - Optional int8 quantization (per-row scale): 4× less memory for a small loss in precision
+ * - IVF (k-means lists, probe the nearest `nprobe`) once there are at least `annMin` vectors; brute force below that
+ * search(queryVec, { k, allow? }) → [{ id, s }] best first, s = cosine similarity
+ */
+
+export const VECTOR_DEFAULTS = { quantize:"none", annMin:5000, nlist:0, nprobe:0 };   // nlist/nprobe 0 = derived from the size
+const KMEANS_ITERS = 8, KMEANS_SAMPLE_PER_LIST = 32;
+
+function mulberry32(seed){ return ()=>{ seed|=0; seed=seed+0x6D2B79F5|0; let t=Math.imul(seed^seed>>>15,1|seed); t=t+Math.imul(t^t>>>7,61|t)^t; return ((t^t>>>14)>>>0)/4294967296; }; }
+
+export function normalize(v){
+  const out=Float32Array.from(v); let n=0;
+  for(let i=0;i<out.length;i++) n+=out[i]*out[i];
+  n=Math.sqrt(n); if(n) for(let i=0;i<out.length;i++) out[i]/=n;
+  return out;
+}
+function dotRow(m, row, dim, q){ let s=0; const o=row*dim; for(let i=0;i<dim;i++) s+=m[o+i]*q[i]; return s; }
+
+// Nearest centroid by dot product (all rows and centroids are unit length).
+function nearest(centroids, nlist, dim, v){
+  let best=0, bestS=-Infinity;
+  for(let c=0;c<nlist;c++){ const s=dotRow(centroids,c,dim,v); if(s>bestS){ bestS=s; best=c; } }
+  return best;
+}
+// Spherical k-means on a sample of rows; returns unit-length centroids.
+function trainCentroids(matrix, n, dim, nlist, rand){
+  const sampleSize=Math.min(n,nlist*KMEANS_SAMPLE_PER_LIST), sample=new Uint32Array(sampleSize);
+  for(let i=0;i<sampleSize;i++) sample[i]=sampleSize===n? i : Math.floor(rand()*n);
+  const centroids=new Float32Array(nlist*dim);
+  for(let c=0;c<nlist;c++){ const r=sample[Math.floor(c*sampleSize/nlist)]; centroids.set(matrix.subarray(r*dim,r*dim+dim),c*dim); }
+  const sums=new Float32Array(nlist*dim), counts=new Uint32Array(nlist);
+  for(let it=0;it<KMEANS_ITERS;it++){
+    sums.fill(0); counts.fill(0);
+    for(const r of sample){
+      const v=matrix.subarray(r*dim,r*dim+dim), c=nearest(centroids,nlist,dim,v);
+      counts[c]++; for(let i=0;i<dim;i++) sums[c*dim+i]+=v[i];
+    }
+    for(let c=0;c<nlist;c++){
+      if(!counts[c]){ const r=sample[Math.floor(rand()*sampleSize)]; centroids.set(matrix.subarray(r*dim,r*dim+dim),c*dim); continue; }   // re-seed empty lists
+      centroids.set(normalize(sums.subarray(c*dim,c*dim+dim)),c*dim);
+    }
+  }
+  return centroids;
+}
+
+/**
+ * kb: [{ id, vec? }]. Rows without a vector, or with a different dimension than the majority, are left out.
+ * opts: { quantize:"none"|"int8", annMin, nlist, nprobe }
+ */
+export function createVectorIndex(kb, opts={}){
+  const { quantize, annMin, nlist:nl, nprobe:np }={ ...VECTOR_DEFAULTS, ...opts };
+  const dims=new Map(); for(const d of kb) if(Array.isArray(d.vec)) dims.set(d.vec.length,(dims.get(d.vec.length)||0)+1);
+  const dim=[...dims].sort((a,b)=>b[1]-a[1])[0]?.[0]||0;
+  const rows=kb.filter(d=>Array.isArray(d.vec) && d.vec.length===dim);
+  const n=rows.length, ids=Int32Array.from(rows,d=>d.id), rowOf=new Map(rows.map((d,r)=>[d.id,r]));
+  let matrix=new Float32Array(n*dim);
+  rows.forEach((d,r)=>matrix.set(normalize(d.vec),r*dim));
+
+  // IVF lists are trained on the float rows, before any quantization.
+  let ivf=null;
+  if(n>=annMin && n>1){
+    const nlist=nl||Math.max(1,Math.round(Math.sqrt(n))), nprobe=Math.min(nlist,np||Math.max(1,Math.ceil(nlist/10)));
+    const centroids=trainCentroids(matrix,n,dim,nlist,mulberry32(n));
+    const lists=Array.from({ length:nlist },()=>[]);
+    for(let r=0;r<n;r++) lists[nearest(centroids,nlist,dim,matrix.subarray(r*dim,r*dim+dim))].push(r);
+    ivf={ nlist, nprobe, centroids, lists:lists.map(l=>Uint32Array.from(l)) };
+  }
+
+  let q8=null, scales=null;
+  if(quantize==="int8"){
+    q8=new Int8Array(n*dim); scales=new Float32Array(n);
+    for(let r=0;r<n;r++){
+      let max=0; for(let i=0;i<dim;i++) max=Math.max(max,Math.abs(matrix[r*dim+i]));
+      const sc=max/127||1; scales[r]=sc;
+      for(let i=0;i<dim;i++) q8[r*dim+i]=Math.round(matrix[r*dim+i]/sc);
+    }
+    matrix=null;
+  }
+  const score=q8? (r,q)=>dotRow(q8,r,dim,q)*scales[r] : (r,q)=>dotRow(matrix,r,dim,q);
+
+  function search(vec, { k=50, allow }={}){
+    if(!n || !vec || vec.length!==dim) return [];
+    const q=normalize(vec), top=[];   // kept sorted, best first, at most k
+    const consider=r=>{
+      const id=ids[r]; if(allow && !allow(id)) return;
+      const s=score(r,q); if(top.length===k && s<=top[k-1].s) return;
+      let i=top.length; while(i>0 && top[i-1].s<s) i--;
+      top.splice(i,0,{ id, s }); if(top.length>k) top.pop();
+    };
+    if(!ivf){ for(let r=0;r<n;r++) consider(r); return top; }
+    const probe=[];
+    for(let c=0;c<ivf.nlist;c++) probe.push({ c, s:dotRow(ivf.centroids,c,dim,q) });
+    probe.sort((a,b)=>b.s-a.s);
+    for(const { c } of probe.slice(0,ivf.nprobe)) for(const r of ivf.lists[c]) consider(r);
+    return top;
+  }
+  // Cosine between two indexed chunks (null when either has no vector).
+  function similarity(a, b){
+    const ra=rowOf.get(a), rb=rowOf.get(b); if(ra==null || rb==null) return null;
+    let s=0; const oa=ra*dim, ob=rb*dim;
+    if(q8){ for(let i=0;i<dim;i++) s+=q8[oa+i]*q8[ob+i]; return s*scales[ra]*scales[rb]; }
+    for(let i=0;i<dim;i++) s+=matrix[oa+i]*matrix[ob+i];
+    return s;
+  }
+  // Cosine between a query vector and one indexed chunk (null when the chunk has no vector).
+  function cosine(vec, id){
+    const r=rowOf.get(id); if(r==null || !vec || vec.length!==dim) return null;
+    return score(r,normalize(vec));
+  }
+  function stats(){
+    return { vectors:n, dim, quantize:q8?"int8":"none", bytes:q8? q8.byteLength+scales.byteLength : matrix.byteLength,
+      ann:ivf? { type:"ivf", nlist:ivf.nlist, nprobe:ivf.nprobe } : null };
+  }
+  return { search, similarity, cosine, stats, get size(){ return n; }, dim };
+}
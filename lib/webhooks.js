@@ -0,0 +1,176 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash, createHmac, randomUUID } from "node:crypto";
+
+/**
+ * Outbound webhooks
+ * - Endpoints: [{ name?, url, format:"json"|"slack", events:["lead.created",…]|["*"], secret? }]
+ * - Signed: X-Soderbot-Signature = "sha256=" + HMAC-SHA256(secret, timestamp + "." + body)
+ * - Persistent queue (JSON file) with exponential backoff + jitter; Retry-After is honoured. Queued deliveries name their
+ *   endpoint by a key derived from its whole config, so endpoints sharing a URL keep their own secret, format and events
+ * - Every attempt is appended to a JSONL delivery log (rotated at LOG_MAX_BYTES)
+ */
+
+export const EVENT_TYPES = ["lead.created","quote.submitted","booking.created","chat.unanswered"];
+const MAX_ATTEMPTS = 10;
+const BASE_DELAY_MS = 30e3, MAX_DELAY_MS = 6*36e5;
+const TICK_MS = 5e3, TIMEOUT_MS = 10e3;
+const LOG_MAX_BYTES = 5*1024*1024;
+
+// Accepts the parsed WEBHOOKS setting; invalid entries are reported and skipped.
+export function parseEndpoints(list){
+  const out=[], errors=[];
+  for(const [i,e] of (Array.isArray(list)?list:[]).entries()){
+    let u; try{ u=new URL(e?.url); }catch{ errors.push("webhook #"+(i+1)+": invalid url"); continue; }
+    if(!/^https?:$/.test(u.protocol)){ errors.push("webhook #"+(i+1)+": url must be http(s)"); continue; }
+    const events=Array.isArray(e.events)&&e.events.length? e.events : ["*"];
+    const unknown=events.filter(t=>t!=="*" && !EVENT_TYPES.includes(t));
+    if(unknown.length) errors.push("webhook #"+(i+1)+": unknown events "+unknown.join(", "));
+    const endpoint={
+      name:String(e.name||redactUrl(u.toString())), url:u.toString(), events,
+      format:e.format==="slack"||e.format==="json"? e.format : (u.host==="hooks.slack.com"?"slack":"json"),
+      secret:e.secret? String(e.secret) : ""
+    };
+    out.push({ ...endpoint, key:endpointKey(endpoint) });
+  }
+  return { endpoints:out, errors };
+}
+
+// Same config → same key across restarts; a changed secret, format or event filter makes it a different endpoint.
+function endpointKey({ url, format, events, secret }){ return createHash("sha256").update(JSON.stringify([url,format,events,secret])).digest("hex").slice(0,16); }
+
+// Slack incoming-webhook URLs carry the secret in the path; only the host and the last characters are shown.
+export function redactUrl(url){ try{ const u=new URL(url); const p=u.pathname; return u.origin+(p.length>8?"/…"+p.slice(-4):p); }catch{ return "(invalid)"; } }
+
+export function sign(secret, timestamp, body){ return "sha256="+createHmac("sha256",secret).update(timestamp+"."+body).digest("hex"); }
+
+function slackEscape(s){ return String(s??"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;"); }
+function quote(s, max=600){ const t=slackEscape(String(s||"").slice(0,max)); return t? "\n>"+t.replace(/\n/g,"\n>") : ""; }
+function slackText(event){
+  const d=event.data||{};
+  const who=[d.name&&"*"+slackEscape(d.name)+"*", d.company&&"("+slackEscape(d.company)+")", [d.email,d.phone].filter(Boolean).map(slackEscape).join(" / ")].filter(Boolean).join(" ");
+  switch(event.type){
+    case "lead.created": return "📨 New lead: "+who+quote(d.question);
+    case "quote.submitted": {
+      const b=d.brief||{}, when=b.dates?.start? b.dates.start+(b.dates.end?" – "+b.dates.end:"") : b.dates?.note;
+      return "🧾 New quote brief from "+who+"\n• Project: "+slackEscape(b.projectType)+"\n• Location: "+slackEscape(b.location)+"\n• Dates: "+slackEscape(when)+"\n• Deliverables: "+slackEscape((b.deliverables||[]).join(", "))+"\n• Budget: "+slackEscape(b.budget)+quote(b.description);
+    }
+    case "booking.created": return "📅 Consultation booked: *"+slackEscape(d.label)+"* ("+slackEscape(d.timeZone)+") — "+who+quote(d.topic);
+    case "chat.unanswered": return "❓ SODERBOT could not answer ("+slackEscape(d.lang)+", "+slackEscape(d.reason)+")"+quote(d.question);
+    default: return "🔔 SODERBOT "+slackEscape(event.type)+quote(JSON.stringify(d));
+  }
+}
+export function formatPayload(endpoint, event){
+  return endpoint.format==="slack"? { text:slackText(event) } : { id:event.id, type:event.type, createdAt:event.createdAt, data:event.data };
+}
+
+/**
+ * opts: { endpoints, queueFile, logFile, userAgent, tickMs? (how often due retries are looked for) }
+ * emit(type, data) queues one delivery per subscribed endpoint and returns immediately.
+ */
+export function createWebhooks({ endpoints=[], queueFile, logFile, userAgent="SODERBOT-Webhooks/1.0", tickMs=TICK_MS }){
+  let queue=[], timer=null, busy=false, writes=Promise.resolve();
+
+  function persist(){
+    const snapshot=JSON.stringify(queue);
+    writes=writes.then(async ()=>{
+      const tmp=queueFile+".tmp";
+      await fs.writeFile(tmp,snapshot,"utf8"); await fs.rename(tmp,queueFile);
+    }).catch(e=>console.log("⚠️ Webhook queue not saved:", e?.message||String(e)));
+    return writes;
+  }
+  async function log(entry){
+    try{
+      const st=await fs.stat(logFile).catch(()=>null);
+      if(st && st.size>LOG_MAX_BYTES) await fs.rename(logFile,logFile+".1");
+      await fs.appendFile(logFile,JSON.stringify(entry)+"\n","utf8");
+    }catch(e){ console.log("⚠️ Webhook log not written:", e?.message||String(e)); }
+  }
+
+  async function load(){
+    await fs.mkdir(path.dirname(queueFile),{ recursive:true });
+    try{ queue=JSON.parse(await fs.readFile(queueFile,"utf8")); if(!Array.isArray(queue)) queue=[]; }
+    catch(e){ if(e.code!=="ENOENT") console.log("⚠️ Webhook queue unreadable, starting empty:", e?.message||String(e)); queue=[]; }
+    // Deliveries for endpoints that were removed or changed in the config are dropped. Items queued before endpoint keys
+    // existed carry only a URL; they are kept when exactly one endpoint has it.
+    const before=queue.length;
+    for(const q of queue) if(!q.endpoint){ const same=endpoints.filter(e=>e.url===q.url); if(same.length===1) q.endpoint=same[0].key; }
+    queue=queue.filter(q=>endpointOf(q));
+    if(queue.length!==before) await persist();
+    return queue.length;
+  }
+
+  function endpointOf(item){ return endpoints.find(e=>e.key===item.endpoint); }
+
+  function emit(type, data, { force=false }={}){
+    const event={ id:randomUUID(), type, createdAt:new Date().toISOString(), data };
+    const targets=endpoints.filter(e=>force || e.events.includes("*") || e.events.includes(type));
+    if(!targets.length) return event;
+    for(const e of targets) queue.push({ id:randomUUID(), endpoint:e.key, event, attempts:0, nextAt:Date.now() });
+    persist(); tick();
+    return event;
+  }
+
+  function backoff(attempts, retryAfter){
+    if(retryAfter){ const s=Number(retryAfter); const ms=Number.isFinite(s)? s*1000 : Date.parse(retryAfter)-Date.now(); if(ms>0) return Math.min(ms,MAX_DELAY_MS); }
+    const ms=Math.min(MAX_DELAY_MS, BASE_DELAY_MS*2**(attempts-1));
+    return ms/2+Math.random()*ms/2;
+  }
+
+  async function deliver(item){
+    const endpoint=endpointOf(item);
+    const body=JSON.stringify(formatPayload(endpoint,item.event)), ts=String(Math.floor(Date.now()/1000));
+    const headers={ "Content-Type":"application/json", "User-Agent":userAgent, "X-Soderbot-Event":item.event.type, "X-Soderbot-Delivery":item.id, "X-Soderbot-Timestamp":ts };
+    if(endpoint.secret) headers["X-Soderbot-Signature"]=sign(endpoint.secret,ts,body);
+    const t0=Date.now(); item.attempts++;
+    let status=0, error="", retryAfter=null;
+    try{
+      const r=await fetch(endpoint.url,{ method:"POST", headers, body, signal:AbortSignal.timeout(TIMEOUT_MS) });
+      status=r.status; retryAfter=r.headers.get("retry-after");
+      if(!r.ok) error=(await r.text().catch(()=>"")).slice(0,200)||"HTTP "+r.status;
+    }catch(e){ error=e?.message||String(e); }
+    const ok=status>=200 && status<300;
+    // Other 4xx answers (bad URL, revoked hook) will not fix themselves.
+    const permanent=!ok && status>=400 && status<500 && status!==408 && status!==429;
+    const dead=!ok && (permanent || item.attempts>=MAX_ATTEMPTS);
+    if(!ok && !dead) item.nextAt=Date.now()+backoff(item.attempts,retryAfter);
+    await log({ at:new Date().toISOString(), delivery:item.id, event:item.event.id, type:item.event.type, endpoint:endpoint.name, attempt:item.attempts, status, ok, ms:Date.now()-t0, ...(error?{ error }:{}), ...(dead?{ dead:true }:{}), ...(!ok&&!dead?{ retryAt:new Date(item.nextAt).toISOString() }:{}) });
+    if(ok || dead){
+      queue=queue.filter(q=>q!==item);
+      if(dead) console.log("⚠️ Webhook to", endpoint.name, "gave up after", item.attempts, "attempt(s):", error||status);
+    }
+    await persist();
+  }
+
+  // Due deliveries go out one at a time, oldest first.
+  async function tick(){
+    if(busy) return; busy=true;
+    try{
+      for(;;){
+        const due=queue.filter(q=>q.nextAt<=Date.now()).sort((a,b)=>a.nextAt-b.nextAt)[0];
+        if(!due) break;
+        await deliver(due);
+      }
+    }finally{ busy=false; }
+  }
+
+  async function start(){
+    const pending=await load();
+    if(pending) console.log("🔁 Webhook queue:", pending, "pending deliveries");
+    timer=setInterval(()=>{ tick().catch(()=>{}); },tickMs); timer.unref();
+    tick().catch(()=>{});
+  }
+
+  async function recent(limit=50){
+    try{ return (await fs.readFile(logFile,"utf8")).trim().split("\n").slice(-limit).reverse().map(l=>{ try{ return JSON.parse(l); }catch{ return null; } }).filter(Boolean); }
+    catch(e){ if(e.code==="ENOENT") return []; throw e; }
+  }
+  function status(){
+    return {
+      endpoints:endpoints.map(e=>({ name:e.name, url:redactUrl(e.url), format:e.format, events:e.events, signed:!!e.secret })),
+      queue:queue.map(q=>({ delivery:q.id, endpoint:endpointOf(q)?.name, type:q.event.type, event:q.event.id, attempts:q.attempts, nextAt:new Date(q.nextAt).toISOString() }))
+    };
+  }
+
+  return { start, emit, recent, status, get pending(){ return queue.length; } };
+}
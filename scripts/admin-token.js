@@ -0,0 +1,19 @@
+import { randomBytes } from "node:crypto";
+import { hashToken, SCOPES } from "../lib/auth.js";
+import { parseArgs } from "./args.js";
+
+/**
+ * Makes an admin API token and the ADMIN_TOKENS entry that holds its hash
+ *   node scripts/admin-token.js --name ops --scopes status,reindex [--token <existing token>]
+ * The token is printed once; the server only ever stores the hash.
+ */
+
+const { flags:args }=parseArgs();
+const scopes=(args.scopes||"*").split(",").map(s=>s.trim()).filter(Boolean);
+const unknown=scopes.filter(s=>s!=="*" && !SCOPES.includes(s));
+if(unknown.length){ console.error("❌ Unknown scopes "+unknown.join(", ")+" (use "+SCOPES.join(", ")+" or *)"); process.exit(2); }
+
+const token=args.token && args.token!=="1"? args.token : randomBytes(32).toString("base64url");
+const entry={ name:args.name||"admin", hash:hashToken(token), scopes };
+console.log("🔑 Token (shown once, give it to the client):\n   "+token);
+console.log("\nADMIN_TOKENS entry (add it to the JSON array):\n   "+JSON.stringify(entry));
@@ -0,0 +1,16 @@
+/**
+ * Command-line flags, shared by the scripts
+ * parseArgs(argv?, { boolean:["json",…] }) → { flags, positional }
+ * - "--name value" sets flags.name; a flag without a value (or a boolean one) is "1"; boolean flags never take the next word
+ * - Words that are not flags or their values are positional, in order
+ */
+export function parseArgs(argv=process.argv.slice(2), { boolean=[] }={}){
+  const flags={}, positional=[];
+  for(let i=0;i<argv.length;i++){
+    const a=argv[i];
+    if(!a.startsWith("--")){ positional.push(a); continue; }
+    const name=a.slice(2), v=argv[i+1];
+    if(!boolean.includes(name) && v!==undefined && !v.startsWith("--")){ flags[name]=v; i++; } else flags[name]="1";
+  }
+  return { flags, positional };
+}
@@ -0,0 +1,63 @@
+import { createVectorIndex } from "../lib/vector-index.js";
+import { loadSnapshot } from "../lib/snapshot.js";
+import { parseArgs } from "./args.js";
+
+/**
+ * Vector search benchmark: latency and recall@k of each index setup against exact brute force
+ *   node scripts/bench-vectors.js [--n 20000] [--dim 384] [--queries 200] [--k 10] [--clusters 200]
+ *   node scripts/bench-vectors.js --snapshot data/kb-snapshot.json   (real KB vectors; queries are perturbed chunks)
+ */
+
+const { flags:args }=parseArgs();
+const N=Number(args.n)||20000, DIM=Number(args.dim)||384, QUERIES=Number(args.queries)||200, K=Number(args.k)||10, CLUSTERS=Number(args.clusters)||200;
+
+let seed=42;
+function rand(){ seed=seed+0x6D2B79F5|0; let t=Math.imul(seed^seed>>>15,1|seed); t=t+Math.imul(t^t>>>7,61|t)^t; return ((t^t>>>14)>>>0)/4294967296; }
+function gauss(){ return Math.sqrt(-2*Math.log(rand()||1e-12))*Math.cos(2*Math.PI*rand()); }
+// Embeddings cluster by topic; uniform noise would make every ANN index look bad.
+function around(center, spread){ return center.map(x=>x+gauss()*spread); }
+
+async function dataset(){
+  if(args.snapshot){
+    const snap=await loadSnapshot(args.snapshot);
+    if(!snap) throw new Error("no readable snapshot at "+args.snapshot);
+    const kb=snap.kb.filter(d=>Array.isArray(d.vec));
+    if(!kb.length) throw new Error("snapshot has no vectors");
+    const queries=Array.from({ length:QUERIES },()=>around(kb[Math.floor(rand()*kb.length)].vec,0.01));
+    return { kb, queries, label:args.snapshot };
+  }
+  const centers=Array.from({ length:CLUSTERS },()=>Array.from({ length:DIM },gauss));
+  const kb=Array.from({ length:N },(_,id)=>({ id, vec:around(centers[id%CLUSTERS],0.6) }));
+  const queries=Array.from({ length:QUERIES },()=>around(centers[Math.floor(rand()*CLUSTERS)],0.6));
+  return { kb, queries, label:"synthetic "+N+"×"+DIM+", "+CLUSTERS+" clusters" };
+}
+
+function pct(sorted, p){ return sorted[Math.min(sorted.length-1,Math.floor(sorted.length*p))]; }
+
+const { kb, queries, label }=await dataset();
+console.log("📐", label+":", kb.length, "vectors,", queries.length, "queries, k="+K+"\n");
+const exact=createVectorIndex(kb,{ annMin:Infinity });
+const truth=queries.map(q=>new Set(exact.search(q,{ k:K }).map(x=>x.id)));
+
+const base=Math.max(1,Math.round(Math.sqrt(kb.length)));
+const setups=[
+  ["brute float32",{ annMin:Infinity }],
+  ["brute int8",{ annMin:Infinity, quantize:"int8" }],
+  ["ivf float32",{ annMin:0 }],
+  ["ivf float32 ×2 probe",{ annMin:0, nprobe:Math.max(2,Math.ceil(base/5)) }],
+  ["ivf int8",{ annMin:0, quantize:"int8" }]
+];
+const rows=[];
+for(const [name,opts] of setups){
+  const t0=performance.now(), idx=createVectorIndex(kb,opts), build=performance.now()-t0;
+  const times=[]; let hits=0;
+  queries.forEach((q,i)=>{
+    const t=performance.now(), res=idx.search(q,{ k:K }); times.push(performance.now()-t);
+    for(const { id } of res) if(truth[i].has(id)) hits++;
+  });
+  times.sort((a,b)=>a-b);
+  const st=idx.stats();
+  rows.push({ setup:name, "build ms":build.toFixed(0), "p50 ms":pct(times,0.5).toFixed(2), "p95 ms":pct(times,0.95).toFixed(2),
+    ["recall@"+K]:(hits/(queries.length*K)).toFixed(3), MB:(st.bytes/1048576).toFixed(1), ann:st.ann? st.ann.nlist+" lists / probe "+st.ann.nprobe : "-" });
+}
+console.table(rows);
@@ -0,0 +1,164 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { analyze } from "../lib/analyzers.js";
+import { systemPrompt } from "../lib/prompt.js";
+import { openSnapshotIndex, pathKey } from "./snapshot-index.js";
+import { parseArgs } from "./args.js";
+
+/**
+ * Retrieval (and optionally answer) evaluation against a KB snapshot, through the server's own retrieval pipeline
+ *   node scripts/eval.js [--golden eval/golden.json] [--snapshot data/kb-snapshot.json] [--k 5]
+ *                        [--baseline eval/baseline.json] [--save-baseline] [--fail-on-regression]
+ *                        [--answers] [--judge] [--offline] [--only id,id]
+ * - Golden set: [{ id, lang, question, urls:[expected pages], facts:[key fact | [alternatives]] }]
+ *   Expected URLs are paths or absolute URLs; a page also matches through its hreflang alternates, so FI/SV questions can
+ *   name the English page. A trailing * matches a path prefix.
+ * - Per question: recall@k and reciprocal rank over the distinct source URLs, key facts found in the retrieved context
+ * - --answers: answers with the production prompt (no tools) and grades them: key facts in the answer, and groundedness
+ *   (share of sentences whose terms occur in the context); --judge also asks the chat model to grade faithfulness
+ * - --offline: mock chat + embeddings; dense retrieval only runs when the snapshot was embedded with the same model
+ * - Retrieval settings come from the same env vars as the server (TOP_K, BM25_*, RRF_K, MMR_LAMBDA, …)
+ */
+
+const { flags:args }=parseArgs(undefined,{ boolean:["save-baseline","fail-on-regression","answers","judge","offline"] });
+const GOLDEN_FILE=args.golden||"eval/golden.json";
+const SNAPSHOT_FILE=args.snapshot||path.join(process.env.DATA_DIR||"./data","kb-snapshot.json");
+const BASELINE_FILE=args.baseline||"eval/baseline.json";
+const K=Number(args.k)||5;
+const GROUNDED_SHARE=0.6;   // a sentence counts as grounded when this share of its terms occur in the context
+
+function fail(msg){ console.error("❌", msg); process.exit(2); }
+
+async function loadGolden(file){
+  let list;
+  try{ list=JSON.parse(await fs.readFile(file,"utf8")); }catch(e){ fail("golden set "+file+": "+e.message); }
+  if(!Array.isArray(list)) fail("golden set "+file+" must be a JSON array");
+  const seen=new Set();
+  list.forEach((q,i)=>{
+    const where=file+" #"+(i+1)+(q?.id?" ("+q.id+")":"");
+    if(!q?.id || seen.has(q.id)) fail(where+": missing or duplicate id");
+    if(!["en","fi","sv"].includes(q.lang)) fail(where+": lang must be en, fi or sv");
+    if(typeof q.question!=="string" || !q.question.trim()) fail(where+": question is empty");
+    if(!Array.isArray(q.urls) || !q.urls.length) fail(where+": urls must list the expected pages");
+    seen.add(q.id);
+  });
+  const only=args.only? new Set(args.only.split(",")) : null;
+  return only? list.filter(q=>only.has(q.id)) : list;
+}
+
+async function readJson(file){ try{ return JSON.parse(await fs.readFile(file,"utf8")); }catch(e){ if(e.code==="ENOENT") return null; throw e; } }
+
+// ----- URL matching -----
+// Pages are identified by their English version when they have one, so /fi/palvelut and /services are the same page.
+function pageMatcher(pages, origin){
+  const group=u=>{ const p=pages.get(u); return pathKey(p?.alternates?.en||u); };
+  return (sourceUrl, expected)=>{
+    const abs=new URL(expected.replace(/\*$/,""),origin).href;
+    if(expected.endsWith("*")) return pathKey(sourceUrl).startsWith(pathKey(abs));
+    return pathKey(sourceUrl)===pathKey(abs) || group(sourceUrl)===group(abs);
+  };
+}
+
+// ----- Grading -----
+const norm=t=>String(t).normalize("NFC").toLowerCase().replace(/\s+/g," ");
+// Facts are strings or arrays of alternatives (e.g. ["Vasa","Vaasa"]); → share found in text, null without facts.
+function factShare(facts, text){
+  if(!facts?.length) return null;
+  const t=norm(text);
+  return facts.filter(f=>(Array.isArray(f)?f:[f]).some(x=>t.includes(norm(x)))).length/facts.length;
+}
+// Offline proxy for faithfulness: share of the answer's statements (questions and offers skipped) whose terms occur in the context.
+function groundedness(answer, ctx, lang){
+  const known=new Set([...analyze(ctx,lang), ...analyze(ctx,"en")]);
+  const text=answer.replace(/\[\[handoff\]\]/gi,"").replace(/\[\d+\]/g,"").replace(/https?:\/\/\S+/g,"");
+  const sentences=text.split(/(?<=[.!?])\s+/).map(s=>s.trim()).filter(s=>s && !s.endsWith("?"));
+  const graded=sentences.map(s=>({ s, terms:analyze(s,lang) })).filter(x=>x.terms.length>=3);
+  if(!graded.length) return { score:null, unsupported:[] };
+  const unsupported=graded.filter(x=>x.terms.filter(t=>known.has(t)).length/x.terms.length<GROUNDED_SHARE).map(x=>x.s);
+  return { score:1-unsupported.length/graded.length, unsupported };
+}
+async function judge(chat, { question, ctx, answer }){
+  const r=await chat.chat({ temperature:0, messages:[
+    { role:"system", content:"You check answers of a website assistant against the knowledge it was given. Reply with JSON only: {\"score\": share (0 to 1) of the answer's factual claims that the knowledge supports, \"unsupported\": [claims the knowledge does not support]}." },
+    { role:"user", content:"Knowledge:\n"+(ctx||"(none)")+"\n\nQuestion: "+question+"\n\nAnswer: "+answer }
+  ] });
+  try{ const j=JSON.parse(r.text.slice(r.text.indexOf("{"),r.text.lastIndexOf("}")+1)); return Number.isFinite(j.score)? { score:j.score, unsupported:j.unsupported||[] } : null; }
+  catch{ return null; }
+}
+
+// ----- Run -----
+const golden=await loadGolden(GOLDEN_FILE);
+let opened;
+try{ opened=await openSnapshotIndex(SNAPSHOT_FILE,{ offline:!!args.offline }); }catch(e){ fail(SNAPSHOT_FILE+": "+e.message); }
+const { snap, retrieve, index, chat, dense, settings, mockChat }=opened;
+if((args.answers||args.judge) && mockChat) console.log("ℹ️ Answers come from the mock model"+(args.judge?"; --judge needs a real one and is skipped":""));
+
+const origin=new URL(snap.kb[0]?.url||"http://localhost").origin;
+const matches=pageMatcher(snap.pages,origin);
+console.log("📊 "+golden.length+" questions against "+SNAPSHOT_FILE+" (index v"+(snap.meta.indexVersion||1)+", "+snap.kb.length+" chunks), k="+K+"\n");
+
+const results={};
+for(const q of golden){
+  const { ctx, sources }=await retrieve(index,q.question,q.lang);
+  const urls=[...new Set(sources.map(s=>s.url))];
+  const ranks=q.urls.map(e=>urls.findIndex(u=>matches(u,e))+1);   // 0 = not retrieved
+  const first=Math.min(...ranks.filter(Boolean));
+  const r={ recall:ranks.filter(n=>n && n<=K).length/q.urls.length, rr:Number.isFinite(first)? 1/first : 0, rank:Number.isFinite(first)? first : null,
+    urls:urls.slice(0,K), ctxFacts:factShare(q.facts,ctx) };
+  if(args.answers || args.judge){
+    const reply=(await chat.chat({ temperature:0, messages:[{ role:"system", content:systemPrompt({ lang:q.lang, ctx }) },{ role:"user", content:q.question }] })).text;
+    const g=groundedness(reply,ctx,q.lang);
+    Object.assign(r,{ answer:reply, answerFacts:factShare(q.facts,reply), grounded:g.score, unsupported:g.unsupported });
+    if(args.judge && !mockChat) r.judge=(await judge(chat,{ question:q.question, ctx, answer:reply }))?.score??null;
+  }
+  results[q.id]=r;
+}
+
+const mean=key=>{ const v=Object.values(results).map(r=>r[key]).filter(x=>x!=null); return v.length? v.reduce((a,b)=>a+b,0)/v.length : null; };
+const summary={ recall:mean("recall"), mrr:mean("rr"), ctxFacts:mean("ctxFacts"),
+  ...(args.answers||args.judge? { answerFacts:mean("answerFacts"), grounded:mean("grounded"), judge:mean("judge") } : {}) };
+
+const baseline=args["save-baseline"]? null : await readJson(BASELINE_FILE);
+// Baseline means over this run's questions, so --only and an edited golden set still compare like with like.
+const was=key=>{ const v=golden.map(q=>baseline?.results?.[q.id]?.[key]).filter(x=>x!=null); return v.length? v.reduce((a,b)=>a+b,0)/v.length : null; };
+if(baseline && baseline.k!==K) console.log("⚠️ Baseline was saved with k="+baseline.k+"; recall deltas compare different cut-offs");
+const f=x=>x==null? "-" : x.toFixed(2);
+const delta=(now, was)=>now==null||was==null||Math.abs(now-was)<1e-9? "" : (now>was?"+":"")+(now-was).toFixed(2);
+console.table(golden.map(q=>{
+  const r=results[q.id], b=baseline?.results?.[q.id];
+  return { id:q.id, lang:q.lang, ["recall@"+K]:f(r.recall), rr:f(r.rr), "ctx facts":f(r.ctxFacts),
+    ...(args.answers||args.judge? { "answer facts":f(r.answerFacts), grounded:f(r.grounded), ...(args.judge?{ judge:f(r.judge) }:{}) } : {}),
+    ...(baseline? { "Δ recall":b? delta(r.recall,b.recall) : "new", "Δ rr":b? delta(r.rr,b.rr) : "" } : {}) };
+}));
+
+for(const q of golden){
+  const r=results[q.id];
+  if(!r.rank) console.log("✗ "+q.id+": expected "+q.urls.join(", ")+" — got "+(r.urls.slice(0,3).map(pathKey).join(", ")||"nothing"));
+  for(const s of r.unsupported||[]) console.log("  ⚠️ "+q.id+" ungrounded: "+s.slice(0,160));
+}
+if(baseline){
+  for(const q of golden){
+    const r=results[q.id], b=baseline.results?.[q.id]; if(!b) continue;
+    if(Math.abs(r.recall-b.recall)<1e-9 && Math.abs(r.rr-b.rr)<1e-9) continue;
+    const lost=b.urls.filter(u=>!r.urls.includes(u)).map(pathKey), gained=r.urls.filter(u=>!b.urls.includes(u)).map(pathKey);
+    console.log((r.recall<b.recall||r.rr<b.rr?"↓ ":"↑ ")+q.id+": recall "+f(b.recall)+" → "+f(r.recall)+", first hit "+(b.rank??"-")+" → "+(r.rank??"-")+
+      (lost.length?", lost "+lost.join(" "):"")+(gained.length?", gained "+gained.join(" "):""));
+  }
+  const gone=Object.keys(baseline.results||{}).filter(id=>!results[id]);
+  if(gone.length && !args.only) console.log("ℹ️ Not in this run: "+gone.join(", "));
+}
+console.log("\nrecall@"+K+" "+f(summary.recall)+(baseline?" ("+(delta(summary.recall,was("recall"))||"±0")+")":"")+
+  "  MRR "+f(summary.mrr)+(baseline?" ("+(delta(summary.mrr,was("rr"))||"±0")+")":"")+
+  "  ctx facts "+f(summary.ctxFacts)+(summary.grounded!==undefined? "  answer facts "+f(summary.answerFacts)+"  grounded "+f(summary.grounded)+(args.judge?"  judge "+f(summary.judge):"") : ""));
+
+if(args["save-baseline"]){
+  const out={ savedAt:new Date().toISOString(), k:K, snapshot:{ file:SNAPSHOT_FILE, indexVersion:snap.meta.indexVersion||1, chunks:snap.kb.length, model:snap.meta.model },
+    dense, settings:{ ...settings, vectors:undefined }, summary,
+    results:Object.fromEntries(Object.entries(results).map(([id,{ answer, unsupported, ...r }])=>[id,r])) };
+  await fs.mkdir(path.dirname(BASELINE_FILE),{ recursive:true });
+  await fs.writeFile(BASELINE_FILE,JSON.stringify(out,null,2)+"\n");
+  console.log("💾 Baseline saved to "+BASELINE_FILE);
+}
+if(args["fail-on-regression"] && baseline && (summary.recall<was("recall")-1e-9 || summary.mrr<was("rr")-1e-9)){
+  console.log("❌ Retrieval regressed against the baseline"); process.exit(1);
+}
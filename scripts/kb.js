@@ -0,0 +1,100 @@
+import path from "node:path";
+import { systemPrompt } from "../lib/prompt.js";
+import { loadSnapshot } from "../lib/snapshot.js";
+import { openSnapshotIndex, pathKey } from "./snapshot-index.js";
+import { parseArgs } from "./args.js";
+
+/**
+ * KB inspection from the command line
+ *   node scripts/kb.js query "<question>" [--lang fi] [--prompt] [--json]     ranked chunks with their scores (+ the system prompt)
+ *   node scripts/kb.js query "<question>" --server https://… [--token …] [--session id]   same, from a running server's live index
+ *   node scripts/kb.js list [--lang fi]                                       pages with their chunk counts
+ *   node scripts/kb.js search "<text>" [--lang fi] [--limit 20]              chunks containing the text
+ *   node scripts/kb.js dump <url or path>                                     every chunk of one page
+ * Reads --snapshot (default DATA_DIR/kb-snapshot.json) unless --server is given; --offline queries with the mock embedder.
+ * Only query needs a provider; list, search and dump read the snapshot file alone.
+ * The server mode calls GET /admin/debug/retrieval with --token or ADMIN_TOKEN.
+ */
+
+const { flags, positional:[command, ...words] }=parseArgs(undefined,{ boolean:["prompt","json","offline"] });
+const text=words.join(" ");
+const SNAPSHOT_FILE=flags.snapshot||path.join(process.env.DATA_DIR||"./data","kb-snapshot.json");
+const LANGS=["en","fi","sv"];
+
+function fail(msg){ console.error("❌", msg); process.exit(2); }
+const cut=(s, n)=>s.length<=n? s : s.slice(0,n-1)+"…";
+const fixed=(x, d)=>x==null? "-" : x.toFixed(d);
+
+// Same shape from the snapshot and from the server: { query, lang, terms, dense, candidates, contextChars, maxContext, sources, prompt }
+function printDebug(r){
+  if(flags.json) return console.log(JSON.stringify(r,null,2));
+  console.log("🔎 "+JSON.stringify(r.query)+" ("+r.lang+") — terms "+Object.entries(r.terms).map(([l,t])=>l+": "+(t.join(" ")||"∅")).join(" | ")+(r.dense?"":" — sparse only"));
+  const mark={ context:"✓", budget:"✗ budget", mmr:"· mmr" };
+  console.table(r.candidates.map(c=>({ status:mark[c.status]||c.status, src:c.source??"", id:c.id, page:pathKey(c.url), lang:c.lang, section:cut(c.section||c.title,36),
+    dense:fixed(c.dense,3), "d#":c.denseRank??"", sparse:fixed(c.sparse,2), "s#":c.sparseRank??"", fused:fixed(c.fused,4) })));
+  console.log("Context: "+r.contextChars+"/"+r.maxContext+" chars, "+r.sources.length+" sources, "+r.candidates.filter(c=>c.status==="budget").length+" picked chunks over budget");
+  if(flags.prompt) console.log("\n----- System prompt -----\n"+r.prompt);
+}
+
+async function queryServer(){
+  const token=flags.token||process.env.ADMIN_TOKEN;
+  if(!token) fail("--server needs --token or ADMIN_TOKEN");
+  const qs=new URLSearchParams({ q:text, lang:flags.lang||"en", ...(flags.session?{ sessionId:flags.session }:{}) });
+  const res=await fetch(flags.server.replace(/\/+$/,"")+"/admin/debug/retrieval?"+qs,{ headers:{ authorization:"Bearer "+token } });
+  const body=await res.json().catch(()=>({ msg:"HTTP "+res.status }));
+  if(!res.ok || !body.ok) fail("server: "+(body.msg||"HTTP "+res.status));
+  printDebug(body);
+}
+
+async function open(){
+  try{ return await openSnapshotIndex(SNAPSHOT_FILE,{ offline:!!flags.offline }); }
+  catch(e){ fail(SNAPSHOT_FILE+": "+e.message); }
+}
+async function read(){
+  let snap; try{ snap=await loadSnapshot(SNAPSHOT_FILE); }catch(e){ fail(SNAPSHOT_FILE+": "+e.message); }
+  return snap || fail(SNAPSHOT_FILE+": no readable snapshot (start the server once to build one)");
+}
+
+async function query(){
+  if(!text) fail("usage: kb.js query \"<question>\" [--lang fi]");
+  if(flags.server) return queryServer();
+  const lang=LANGS.includes(flags.lang)? flags.lang : "en";
+  const { index, retrieve, settings }=await open();
+  const { ctx, sources, trace }=await retrieve(index,text,lang,{ explain:true });
+  printDebug({ query:text, lang, ...trace, contextChars:ctx.length, maxContext:settings.maxContext, sources, prompt:systemPrompt({ lang, ctx }) });
+}
+
+async function list(){
+  const snap=await read();
+  const chunks=new Map(); for(const d of snap.kb){ const c=chunks.get(d.url)||{ n:0, vec:0 }; c.n++; if(Array.isArray(d.vec)) c.vec++; chunks.set(d.url,c); }
+  const pages=[...snap.pages.values()].filter(p=>!flags.lang || p.lang===flags.lang).sort((a,b)=>a.url.localeCompare(b.url));
+  console.table(pages.map(p=>({ page:pathKey(p.url), lang:p.lang, title:cut(p.doc?.title||"",40), chunks:chunks.get(p.url)?.n||0, embedded:chunks.get(p.url)?.vec||0, fetched:(p.fetchedAt||"").slice(0,16) })));
+  console.log(pages.length+" pages, "+snap.kb.filter(d=>!flags.lang || d.lang===flags.lang).length+" chunks (index v"+(snap.meta.indexVersion||1)+", "+snap.meta.crawlFinishedAt+")");
+}
+
+async function search(){
+  if(!text) fail("usage: kb.js search \"<text>\" [--lang fi]");
+  const snap=await read(), needle=text.toLowerCase(), limit=Number(flags.limit)||20;
+  const hits=snap.kb.filter(d=>(!flags.lang || d.lang===flags.lang) && d.chunk.toLowerCase().includes(needle));
+  for(const d of hits.slice(0,limit)){
+    const at=d.chunk.toLowerCase().indexOf(needle), from=Math.max(0,at-60), to=at+needle.length+60;
+    console.log("#"+d.id+" "+pathKey(d.url)+" ("+d.lang+") "+(d.headings||[]).join(" › ")+"\n   "+(from?"…":"")+d.chunk.slice(from,to).replace(/\s+/g," ")+(to<d.chunk.length?"…":""));
+  }
+  console.log(hits.length+" chunks match"+(hits.length>limit?" (first "+limit+" shown, --limit for more)":""));
+}
+
+async function dump(){
+  if(!text) fail("usage: kb.js dump <url or path>");
+  const snap=await read(), key=pathKey(text);
+  const chunks=snap.kb.filter(d=>pathKey(d.url)===key);
+  if(!chunks.length){
+    const near=[...snap.pages.keys()].filter(u=>pathKey(u).includes(key)).slice(0,5);
+    fail("no chunks for "+text+(near.length?" — did you mean "+near.map(pathKey).join(", ")+"?":""));
+  }
+  for(const d of chunks) console.log("----- #"+d.id+" ("+d.lang+", "+d.chunk.length+" chars, "+(Array.isArray(d.vec)?"embedded":"no vector")+", "+String(d.hash||"").slice(0,10)+") -----\n"+d.chunk+"\n");
+  console.log(chunks.length+" chunks from "+chunks[0].url);
+}
+
+const COMMANDS = { query, list, search, dump };
+if(!COMMANDS[command]) fail("usage: kb.js query|list|search|dump … (see the top of scripts/kb.js)");
+await COMMANDS[command]();
@@ -0,0 +1,37 @@
+import { loadSnapshot } from "../lib/snapshot.js";
+import { createSparseIndex, createRetriever, retrievalSettings } from "../lib/retrieval.js";
+import { createVectorIndex } from "../lib/vector-index.js";
+import { analyze } from "../lib/analyzers.js";
+import { createChatProvider, createEmbedProvider, providerSettings } from "../lib/providers.js";
+import { resilientProvider } from "../lib/resilience.js";
+import { sanitizeContent } from "../lib/guard.js";
+
+/**
+ * A KB snapshot loaded the way the server loads it, for scripts/eval.js and scripts/kb.js
+ * openSnapshotIndex(file, { offline? }) → { snap, index, retrieve, chat, embedder, dense, settings, mockChat }
+ * pathKey(url) → lowercased path without trailing slashes, for matching pages across hosts and locales
+ * - Providers and retrieval settings come from the same env vars as the server; offline forces the mock provider
+ * - Dense retrieval only runs when the snapshot was embedded with the query embedder's model
+ * - Instruction-like sentences are dropped from older snapshots' chunks, as the server does on load
+ * Throws when the file is missing or unreadable.
+ */
+export async function openSnapshotIndex(file, { offline=false }={}){
+  const snap=await loadSnapshot(file);
+  if(!snap) throw new Error("no readable snapshot at "+file+" (start the server once to build one)");
+  for(const d of snap.kb) d.chunk=sanitizeContent(d.chunk).text;
+  const settings=retrievalSettings();
+  const cfg=offline? { chat:{ provider:"mock" }, embed:{ provider:"mock" } } : providerSettings();
+  const chat=resilientProvider(createChatProvider(cfg.chat),{ name:"chat", timeoutMs:Number(process.env.LLM_TIMEOUT_MS) || 30e3 });
+  const embedder=resilientProvider(createEmbedProvider(cfg.embed),{ name:"embeddings", timeoutMs:Number(process.env.EMBED_TIMEOUT_MS) || 20e3 });
+  // Query vectors from another model would land in a different space than the snapshot's.
+  const dense=snap.meta.model===embedder.id;
+  if(!dense) console.log("⚠️ Snapshot was embedded with "+snap.meta.model+", queries would use "+embedder.id+": sparse-only retrieval");
+  const index={ kb:snap.kb, pages:snap.pages, sparse:createSparseIndex(snap.kb,{ ...settings.bm25, analyze }), vectors:dense? createVectorIndex(snap.kb,settings.vectors) : createVectorIndex([]) };
+  const retrieve=createRetriever({ ...settings, analyze,
+    embedQuery:async q=>dense? (await embedder.embed([q]))[0] : null,
+    onEmbedError:e=>console.log("⚠️ Query embedding failed, sparse-only:", e?.message||String(e)) });
+  return { snap, index, retrieve, chat, embedder, dense, settings, mockChat:cfg.chat.provider==="mock" };
+}
+
+// Relative paths ("/Services/") are accepted too; "/" for the root.
+export function pathKey(url){ try{ return new URL(url).pathname.replace(/\/+$/,"").toLowerCase()||"/"; }catch{ return String(url).replace(/\/+$/,"").toLowerCase()||"/"; } }
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stem, analyze } from "../lib/analyzers.js";
+
+// Inflections of one word from the site must share a stem; unrelated words must not.
+const SAME = {
+  en:[["service","services"],["film","films","filming"],["production","productions"],["produced","producing"],["hire","hiring","hired","hires"],["make","making"],["event","events"],["video","videos"]],
+  fi:[["palvelu","palvelut","palveluista","palveluihin"],["video","videot","videoon","videoita"],["tapahtuma","tapahtumissa"]],
+  sv:[["drönare","drönaren","drönarna"],["tjänst","tjänsten","tjänster","tjänsterna"],["produktion","produktionen","produktioner"],["film","filmer","filmen","filmerna"],
+    ["pris","priser","priset"],["kund","kunder","kunden"],["bild","bilder"],["filmning","filmningen"]]
+};
+
+for(const [lang, groups] of Object.entries(SAME)){
+  test(lang+": inflected forms share a stem", ()=>{
+    for(const words of groups) for(const w of words.slice(1)) assert.equal(stem(w,lang),stem(words[0],lang),w+" vs "+words[0]);
+  });
+}
+
+test("sv: one pass with a minimum stem length", ()=>{
+  assert.equal(stem("drönare","sv"),"drön");
+  assert.notEqual(stem("drönare","sv"),stem("dröm","sv"));
+  for(const w of ["drönare","mässa","bilder","kunder","arna"]) assert.ok(stem(w,"sv").length>=3,w);
+});
+
+test("compounds keep the whole word next to their parts", ()=>{
+  assert.deepEqual(analyze("videoproduktion","sv"),["videoproduktion","video","produktion"]);
+  assert.deepEqual(analyze("videotuotanto","fi"),["videotuotanto","video","tuotanto"]);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { createAdminAuth, parseTokens, hashToken, createOriginPolicy, requireAllowedOrigin } from "../lib/auth.js";
+
+async function serve(t, app){
+  const server=app.listen(0,"127.0.0.1"); await once(server,"listening"); t.after(()=>server.close());
+  return "http://127.0.0.1:"+server.address().port;
+}
+const bearer=token=>({ headers:{ authorization:"Bearer "+token } });
+
+test("tokens are looked up by hash and checked for the route's scope", async t=>{
+  const { tokens, errors }=parseTokens([
+    { name:"dashboard", hash:hashToken("status-token"), scopes:["status"] },
+    { name:"ops", hash:hashToken("ops-token").slice(7), scopes:["*"] },
+    { name:"broken", hash:"not-a-hash", scopes:["status"] }
+  ]);
+  assert.deepEqual(tokens.map(x=>x.name),["dashboard","ops"]);
+  assert.match(errors[0],/broken/);
+  const auth=createAdminAuth({ tokens });
+  const app=express();
+  app.get("/kb-status",auth.requireScope("status"),(req,res)=>res.json(req.admin));
+  app.post("/reindex",auth.requireScope("reindex"),(req,res)=>res.json(req.admin));
+  const url=await serve(t,app);
+
+  const anon=await fetch(url+"/kb-status");
+  assert.equal(anon.status,401);
+  assert.equal(anon.headers.get("www-authenticate"),"Bearer");
+  assert.equal((await fetch(url+"/kb-status",bearer(hashToken("status-token")))).status,401,"the stored hash is not a token");
+  assert.deepEqual(await (await fetch(url+"/kb-status",bearer("status-token"))).json(),{ name:"dashboard", scopes:["status"] });
+  const denied=await fetch(url+"/reindex",{ method:"POST", ...bearer("status-token") });
+  assert.equal(denied.status,403);
+  assert.equal((await denied.json()).code,"forbidden");
+  assert.equal((await fetch(url+"/reindex",{ method:"POST", ...bearer("ops-token") })).status,200);
+});
+
+test("a plain ADMIN_TOKEN still works with every scope; no tokens at all disables the routes", async t=>{
+  const app=express();
+  app.post("/reindex",createAdminAuth({ legacyToken:"old-secret" }).requireScope("reindex"),(req,res)=>res.json(req.admin));
+  app.get("/off",createAdminAuth().requireScope("status"),(_req,res)=>res.json({}));
+  const url=await serve(t,app);
+  assert.deepEqual(await (await fetch(url+"/reindex",{ method:"POST", ...bearer("old-secret") })).json(),{ name:"ADMIN_TOKEN", scopes:["*"] });
+  assert.equal((await fetch(url+"/reindex",{ method:"POST", ...bearer("old-secre") })).status,401);
+  const off=await fetch(url+"/off",bearer("old-secret"));
+  assert.equal(off.status,503);
+  assert.equal((await off.json()).code,"admin_disabled");
+});
+
+test("other sites' origins are refused with 403", async t=>{
+  const policy=createOriginPolicy(["https://www.soderman.fi","https://*.soderman.fi","not an origin"]);
+  assert.deepEqual(policy.invalid,["not an origin"]);
+  const app=express(); app.use(requireAllowedOrigin(policy)); app.post("/chat",(_req,res)=>res.json({ ok:true }));
+  const url=await serve(t,app);
+  const from=origin=>fetch(url+"/chat",{ method:"POST", headers:origin? { origin } : {} }).then(r=>r.status);
+  assert.equal(await from("https://evil.example"),403);
+  assert.equal(await from("http://www.soderman.fi"),403,"the scheme has to match");
+  assert.equal(await from("https://soderman.fi.evil.example"),403);
+  assert.equal(await from("https://www.soderman.fi"),200);
+  assert.equal(await from("https://staging.soderman.fi"),200);
+  assert.equal(await from(url),200,"this server's own page");
+  assert.equal(await from(null),200,"no Origin: not a browser page");
+  const refused=await fetch(url+"/chat",{ method:"POST", headers:{ origin:"https://evil.example" } });
+  assert.deepEqual(await refused.json(),{ ok:false, code:"forbidden_origin", msg:"Origin not allowed" });
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseIcs, busyIntervals, zonedToUtc, createBookingService } from "../lib/booking.js";
+
+const ics=(...events)=>["BEGIN:VCALENDAR","VERSION:2.0",...events.flatMap(e=>["BEGIN:VEVENT",...e,"END:VEVENT"]),"END:VCALENDAR",""].join("\r\n");
+const iso=ms=>new Date(ms).toISOString();
+async function tmpDir(t){ const dir=await fs.mkdtemp(path.join(os.tmpdir(),"booking-")); t.after(()=>fs.rm(dir,{ recursive:true, force:true })); return dir; }
+
+test("ICS events: UTC, TZID, all-day, DURATION, folded and escaped text", ()=>{
+  const [utc,zoned,allDay]=parseIcs(ics(
+    ["UID:a","DTSTART:20260310T090000Z","DTEND:20260310T100000Z","SUMMARY:Shoot\\, day 1","DESCRIPTION:Line one\\nline"," two"],
+    ["UID:b","DTSTART;TZID=Europe/Helsinki:20260310T120000","DURATION:PT1H30M","STATUS:cancelled"],
+    ["UID:c","DTSTART;VALUE=DATE:20260311","TRANSP:TRANSPARENT"]
+  ),"Europe/Helsinki");
+  assert.deepEqual([utc.start,utc.end].map(iso),["2026-03-10T09:00:00.000Z","2026-03-10T10:00:00.000Z"]);
+  assert.equal(utc.summary,"Shoot, day 1");
+  assert.equal(utc.description,"Line one\nlinetwo");
+  assert.deepEqual([zoned.start,zoned.end].map(iso),["2026-03-10T10:00:00.000Z","2026-03-10T11:30:00.000Z"]);
+  assert.equal(zoned.status,"CANCELLED");
+  assert.deepEqual([allDay.start,allDay.end].map(iso),["2026-03-10T22:00:00.000Z","2026-03-11T22:00:00.000Z"]);
+  assert.ok(allDay.allDay && allDay.transparent);
+  assert.equal(busyIntervals([utc,zoned,allDay],Date.parse("2026-03-01"),Date.parse("2026-04-01")).length,1,"cancelled and transparent events are free");
+});
+
+test("RRULE with BYDAY and COUNT, minus EXDATE and overridden occurrences", ()=>{
+  const events=parseIcs(ics(
+    ["UID:w","DTSTART:20260302T080000Z","DTEND:20260302T090000Z","RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5","EXDATE:20260304T080000Z"],
+    ["UID:w","RECURRENCE-ID:20260309T080000Z","DTSTART:20260309T130000Z","DTEND:20260309T140000Z"]
+  ));
+  const busy=busyIntervals(events,Date.parse("2026-03-01"),Date.parse("2026-04-01")).map(b=>iso(b.start));
+  assert.deepEqual(busy,["2026-03-02T08:00:00.000Z","2026-03-09T13:00:00.000Z","2026-03-11T08:00:00.000Z","2026-03-16T08:00:00.000Z"]);
+});
+
+test("recurring local times keep their wall-clock time across a DST change", ()=>{
+  const events=parseIcs(ics(["UID:d","DTSTART;TZID=Europe/Helsinki:20260326T100000","DURATION:PT1H","RRULE:FREQ=DAILY;COUNT=5"]));
+  const busy=busyIntervals(events,Date.parse("2026-03-01"),Date.parse("2026-04-01")).map(b=>iso(b.start).slice(0,16));
+  // EET (UTC+2) until 29 March 2026, EEST (UTC+3) from then on.
+  assert.deepEqual(busy,["2026-03-26T08:00","2026-03-27T08:00","2026-03-28T08:00","2026-03-29T07:00","2026-03-30T07:00"]);
+  assert.equal(iso(zonedToUtc(2026,10,25,12,0,0,"Europe/Helsinki")),"2026-10-25T10:00:00.000Z");
+});
+
+// A weekday at least two days out, as a UTC midnight.
+function nextWeekday(){
+  let day=Date.UTC(new Date().getUTCFullYear(),new Date().getUTCMonth(),new Date().getUTCDate())+2*864e5;
+  while([0,6].includes(new Date(day).getUTCDay())) day+=864e5;
+  return day;
+}
+
+test("slots keep a buffer around busy time", async t=>{
+  const dir=await tmpDir(t), day=nextWeekday(), stamp=ms=>iso(ms).replace(/[-:]/g,"").replace(".000","");
+  await fs.writeFile(path.join(dir,"team.ics"),ics(["UID:busy","DTSTART:"+stamp(day+10*36e5),"DTEND:"+stamp(day+11*36e5)]));
+  const svc=createBookingService({ source:path.join(dir,"team.ics"), file:path.join(dir,"bookings.ics"), tz:"UTC", hours:"09:00-13:00", slotMinutes:30, bufferMinutes:15, noticeHours:0 });
+  const offered=(await svc.slots({ from:iso(day), limit:20, perDay:20 })).filter(s=>s.start.startsWith(iso(day).slice(0,10))).map(s=>s.start.slice(11,16));
+  assert.deepEqual(offered,["09:00","11:30","12:00","12:30"]);
+});
+
+test("concurrent reservations of one slot book it once", async t=>{
+  const dir=await tmpDir(t), file=path.join(dir,"bookings.ics");
+  const opts={ file, tz:"UTC", hours:"09:00-12:00", slotMinutes:60, noticeHours:0 };
+  // Two services on one file stand in for two server processes: the lock file has to hold between them.
+  const a=createBookingService(opts), b=createBookingService(opts);
+  const [slot]=await a.slots({ from:iso(nextWeekday()) });
+  const results=await Promise.all([a,a,b].map((svc,i)=>svc.reserve({ start:slot.start, contact:{ name:"Visitor "+i } })));
+  assert.equal(results.filter(r=>r.booking).length,1);
+  assert.equal(results.filter(r=>r.conflict).length,2);
+  assert.ok(results.find(r=>r.conflict).alternatives.every(s=>s.start!==slot.start));
+  assert.deepEqual((await a.list()).map(e=>e.start),[slot.start]);
+  await assert.rejects(fs.stat(file+".lock"),{ code:"ENOENT" });
+});
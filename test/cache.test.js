@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAnswerCache, createEmbeddingCache } from "../lib/cache.js";
+import { personalData } from "../lib/leads.js";
+
+const vec=[1,0,0];
+const entry=(question, text)=>({ vec, lang:"en", version:1, question, answer:{ text, sources:[] } });
+
+test("answers with the site's own contact details are cached, visitor details are not", ()=>{
+  const site=new Set(personalData("Contact: info@soderman.fi, +358 40 123 4567"));
+  const cache=createAnswerCache({ siteDetails:()=>site });
+  cache.store(entry("How do I reach you?","Email info@soderman.fi or call +358 40 123 4567."));
+  assert.equal(cache.lookup({ vec, lang:"en", version:1 })?.text,"Email info@soderman.fi or call +358 40 123 4567.");
+  cache.store(entry("I'm Anna, call me on 040 765 4321","We'll call you."));
+  cache.store(entry("How do I reach you?","Write to anna@acme.fi."));
+  assert.equal(cache.stats().stored,1);
+  assert.equal(cache.stats().personal,2);
+});
+
+test("a close enough question in the same language and KB version is a hit", ()=>{
+  let ms=0; const cache=createAnswerCache({ threshold:0.95, ttlMs:60e3, now:()=>ms });
+  cache.store({ vec:[1,0,0], lang:"en", version:1, question:"What does a drone shoot cost?", answer:{ text:"From 900 euros.", sources:[] }, tokens:800 });
+  const hit=cache.lookup({ vec:[10,1,0], lang:"en", version:1 });
+  assert.equal(hit.text,"From 900 euros.");
+  assert.equal(hit.question,"What does a drone shoot cost?");
+  assert.ok(hit.similarity>0.99);
+  assert.equal(cache.lookup({ vec:[1,1,0], lang:"en", version:1 }),null,"cosine 0.71 is below the threshold");
+  assert.equal(cache.lookup({ vec:[1,0,0], lang:"fi", version:1 }),null);
+  assert.equal(cache.lookup({ vec:[1,0,0], lang:"en", version:2 }),null);
+  assert.equal(cache.lookup({ lang:"en", version:1 }),null,"no query vector");
+  ms=60e3;
+  assert.equal(cache.lookup({ vec:[1,0,0], lang:"en", version:1 }),null,"expired");
+  assert.deepEqual(cache.stats(),{ size:0, max:500, threshold:0.95, hits:1, misses:5, stored:1, personal:0, invalidations:0, savedTokens:800, savedCompletions:1 });
+});
+
+test("a new index clears the answers", ()=>{
+  const cache=createAnswerCache();
+  cache.store(entry("Where are you based?","In Vaasa."));
+  cache.invalidate(); cache.invalidate();
+  assert.equal(cache.lookup({ vec, lang:"en", version:1 }),null);
+  assert.equal(cache.stats().invalidations,1,"clearing an empty cache is not counted");
+});
+
+test("each text is embedded once; refresh embeds again", async()=>{
+  const calls=[], embedder={ id:"mock-1", embed:async texts=>{ calls.push(texts); return texts.map(t=>[t.length,1]); } };
+  const cache=createEmbeddingCache(embedder);
+  assert.deepEqual(await cache.embed(["drone","video"],{ source:"crawl" }),[[5,1],[5,1]]);
+  assert.deepEqual(await cache.embed(["video","prices"]),[[5,1],[6,1]]);
+  assert.deepEqual(calls,[["drone","video"],["prices"]],"only the miss goes upstream");
+  await cache.embed(["drone"],{ refresh:true });
+  assert.equal(calls.length,3);
+  const { hits, misses }=cache.stats();
+  assert.deepEqual({ hits, misses },{ hits:{ crawl:0, query:1 }, misses:{ crawl:2, query:2 } });
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { hasPersonalData, personalData, validateLead, createLeadStore } from "../lib/leads.js";
+
+async function tmpDir(t){ const dir=await fs.mkdtemp(path.join(os.tmpdir(),"leads-")); t.after(()=>fs.rm(dir,{ recursive:true, force:true })); return dir; }
+
+test("contact details and names are personal data", ()=>{
+  for(const t of ["Hi, I'm Anna from ACME (anna@acme.fi), what does a drone shoot cost?","call me at +358 40 123 4567","040-1234567","Olen Matti, paljonko maksaa?","Jag heter Eva"])
+    assert.ok(hasPersonalData(t),t);
+});
+
+test("prices, ranges and dates are not", ()=>{
+  for(const t of ["What does a drone shoot cost?","Prices start from 900 euros, 1500 for events","Budget 12000-15000 euros","Can you film on 2026-05-12 or 05.12.2026?","i am looking for a video team","Paljonko maksaa, olen kiinnostunut"])
+    assert.ok(!hasPersonalData(t),t);
+});
+
+test("details published on the site don't count", ()=>{
+  const site=new Set(personalData("Call us on +358 40 123 4567 or write to info@soderman.fi"));
+  assert.ok(!hasPersonalData("You can reach us at 040 123 4567 or INFO@soderman.fi.",site));
+  assert.ok(hasPersonalData("Sure, I'll call you at 040 765 4321.",site));
+  assert.ok(hasPersonalData("Write to info@soderman.fi, I'm Anna",site));
+});
+
+test("a lead needs a name and a valid email or phone", ()=>{
+  assert.deepEqual(validateLead({ name:"  Anna   Lind ", email:"anna@acme.fi", question:"Drone\nshoot?", role:"admin" }),
+    { lead:{ name:"Anna Lind", email:"anna@acme.fi", phone:"", company:"", question:"Drone shoot?" } });
+  assert.deepEqual(validateLead({ phone:"+358 40 123 4567" }).errors,["name is required"]);
+  assert.deepEqual(validateLead({ name:"Anna" }).errors,["email or phone is required"]);
+  assert.deepEqual(validateLead({ name:"Anna", email:"anna@acme", phone:"call me" }).errors,["email is not valid","phone is not valid"]);
+  assert.equal(validateLead({ name:"x".repeat(500), phone:"040 1234567" }).lead.name.length,120);
+});
+
+test("the store replays creates and updates from its JSONL file, skipping a torn last line", async t=>{
+  const file=path.join(await tmpDir(t),"data","leads.jsonl");
+  const store=createLeadStore(file);
+  assert.equal(await store.load(),0,"no file yet");
+  const [anna,eero]=await Promise.all([store.create({ name:"Anna", email:"anna@acme.fi" }),store.create({ name:"Eero", phone:"040 1234567" },{ lang:"fi" })]);
+  assert.equal(anna.status,"new");
+  const { lead }=await store.update(eero.id,{ status:"contacted", notes:" Called back ", name:"Mallory" });
+  assert.deepEqual([lead.name,lead.phone,lead.lang,lead.status,lead.notes],["Eero","040 1234567","fi","contacted","Called back"],"contact details stay as submitted");
+  assert.deepEqual((await store.update(anna.id,{ status:"won" })).errors,["status must be one of new, contacted, qualified, closed"]);
+  assert.deepEqual((await store.update(anna.id,{})).errors,["nothing to update (status, notes, assignee)"]);
+  assert.deepEqual(await store.update("missing",{ status:"closed" }),{ notFound:true });
+  assert.equal((await fs.readFile(file,"utf8")).trim().split("\n").length,3,"two creates and one update, each on its own line");
+
+  await fs.appendFile(file,'{"op":"update","id":"'+anna.id+'","patch":{"status":"clo');
+  const reloaded=createLeadStore(file);
+  assert.equal(await reloaded.load(),2);
+  assert.deepEqual(reloaded.get(eero.id),store.get(eero.id));
+  assert.equal(reloaded.get(anna.id).status,"new");
+  assert.deepEqual(reloaded.list({ status:"contacted" }).map(l=>l.name),["Eero"]);
+});
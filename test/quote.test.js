@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateQuoteFields, missingFields, buildBrief, briefSummary, briefsToCsv } from "../lib/quote.js";
+
+// A date `days` from today, as YYYY-MM-DD.
+const day=days=>new Date(Date.now()+days*864e5).toISOString().slice(0,10);
+
+test("quote fields are validated one by one; accepted ones are kept", ()=>{
+  const { values, errors }=validateQuoteFields({ projectType:"drone", location:"mars", budget:"5k-10k", startDate:"2026-02-30", email:"anna@", phone:"+358 40 123 4567",
+    deliverables:" 60 s commercial ", description:"  Launch\nfilm ", name:"", unknown:"x" });
+  assert.deepEqual(values,{ projectType:"drone", budget:"5k-10k", phone:"+358 40 123 4567", deliverables:["60 s commercial"], description:"Launch film" });
+  assert.deepEqual(errors,["location must be one of vaasa, helsinki, other","startDate must be a real date as YYYY-MM-DD","email is not valid"]);
+  assert.deepEqual(validateQuoteFields({ startDate:day(-3) }).errors,["startDate is in the past"]);
+  const later=validateQuoteFields({ endDate:day(5) },{ startDate:day(10) });
+  assert.deepEqual([later.values,later.errors],[{},["endDate is before startDate"]],"checked against what is already on the draft");
+});
+
+test("missing fields shrink as the draft fills in", ()=>{
+  const draft={};
+  assert.deepEqual(missingFields(draft),["projectType","location","dates","deliverables","budget","name","contact"]);
+  Object.assign(draft,{ projectType:"event", location:"other", datesNote:"flexible, May", deliverables:["aftermovie"], budget:"not-sure", name:"Anna" });
+  assert.deepEqual(missingFields(draft),["location","contact"],"'other' needs a city or venue");
+  Object.assign(draft,{ locationDetail:"Seinäjoki", email:"anna@acme.fi" });
+  assert.deepEqual(missingFields(draft),[]);
+  const brief=buildBrief(draft);
+  assert.deepEqual(brief,{ projectType:"event", location:"Seinäjoki", dates:{ start:null, end:null, note:"flexible, May" }, deliverables:["aftermovie"], budget:"not-sure", description:"" });
+  assert.equal(briefSummary(brief),"Quote: event in Seinäjoki, flexible, May; aftermovie; budget not-sure");
+  assert.equal(briefSummary({ ...brief, dates:{ start:"2027-05-03", end:"2027-05-04" } }),"Quote: event in Seinäjoki, 2027-05-03 – 2027-05-04; aftermovie; budget not-sure");
+});
+
+test("the CSV export quotes cells and defuses spreadsheet formulas", ()=>{
+  const lead={ id:"q1", createdAt:"2026-03-01T10:00:00.000Z", status:"new", name:"=HYPERLINK(\"x\")", phone:"+358 40 123 4567", lang:"fi",
+    brief:{ projectType:"commercial", location:"vaasa", dates:{ start:"2027-05-03", end:null, note:null }, deliverables:["60 s spot","3 cut-downs"], budget:"2k-5k", description:"Line one\nline, two" } };
+  const [header,row,end]=briefsToCsv([lead]).split("\r\n");
+  assert.equal(header,"id,createdAt,status,name,email,phone,company,projectType,location,startDate,endDate,datesNote,deliverables,budget,description,lang");
+  assert.equal(row,'q1,2026-03-01T10:00:00.000Z,new,"\'=HYPERLINK(""x"")",,+358 40 123 4567,,commercial,vaasa,2027-05-03,,,60 s spot; 3 cut-downs,2k-5k,"Line one\nline, two",fi');
+  assert.equal(end,"");
+});
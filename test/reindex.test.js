@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+
+// The real server against a small local site, offline (mock provider).
+const page=(title, text)=>"<html><head><title>"+title+"</title></head><body><main><h1>"+title+"</h1><p>"+text+"</p><p>"+text+"</p></main></body></html>";
+const SITES={
+  v1:{ "/":page("Home","We are a film production company in Vaasa. Our signature aurora package covers drone filming, editing and colour grading for commercials."),
+    "/services":page("Services","Drone filming, event video and livestreams for companies all over Finland, with permits and insurance handled by our team.") },
+  v2:{ "/":page("Home","We are a film production company in Vaasa. Our new borealis package covers drone filming, editing and colour grading for commercials."),
+    "/services":page("Services","Drone filming, event video and livestreams for companies all over Finland, with permits and insurance handled by our team.") },
+  gone:{}
+};
+
+async function freePort(){ const s=net.createServer().listen(0,"127.0.0.1"); await once(s,"listening"); const { port }=s.address(); s.close(); return port; }
+async function until(check, ms=20e3){
+  for(const t0=Date.now(); !(await check().catch(()=>false)); await new Promise(r=>setTimeout(r,100))) if(Date.now()-t0>ms) throw new Error("timed out");
+}
+
+test("a reindex is swapped in whole, only once it succeeds", { timeout:90e3 }, async t=>{
+  let site="v1", delayMs=0;
+  const fixture=http.createServer((req,res)=>{
+    const html=SITES[site][new URL(req.url,"http://x").pathname];
+    setTimeout(()=>html? res.writeHead(200,{ "content-type":"text/html" }).end(html) : res.writeHead(404).end(),delayMs);
+  });
+  fixture.listen(0,"127.0.0.1"); await once(fixture,"listening"); t.after(()=>fixture.close());
+
+  const dataDir=await fs.mkdtemp(path.join(os.tmpdir(),"reindex-")); t.after(()=>fs.rm(dataDir,{ recursive:true, force:true }));
+  const port=await freePort(), base="http://127.0.0.1:"+port, token="test-admin-token";
+  const server=spawn(process.execPath,["chatbot-server.js"],{ cwd:fileURLToPath(new URL("..",import.meta.url)), stdio:["ignore","pipe","pipe"],
+    env:{ ...process.env, PORT:String(port), SITE_URL:"http://127.0.0.1:"+fixture.address().port, DATA_DIR:dataDir, LLM_PROVIDER:"mock", EMBED_PROVIDER:"mock",
+      ADMIN_TOKEN:token, ADMIN_TOKENS:"", REINDEX_INTERVAL_H:"0", CRAWL_DELAY_MS:"0", WEBHOOKS:"", TRUST_PROXY:"" } });
+  let log=""; server.stdout.on("data",d=>log+=d); server.stderr.on("data",d=>log+=d);
+  t.after(()=>server.kill());
+  const admin=(p, init={})=>fetch(base+p,{ ...init, headers:{ authorization:"Bearer "+token } });
+  const status=()=>admin("/kb-status").then(r=>r.json());
+  const finds=async word=>(await (await admin("/admin/debug/retrieval?q="+word)).json()).sources.some(s=>s.snippet.toLowerCase().includes(word));
+
+  await until(()=>fetch(base+"/health").then(r=>r.ok)).catch(e=>{ throw new Error(e.message+"\n"+log); });
+  const v1=await status();
+  assert.equal(v1.version,1);
+  assert.ok(await finds("aurora"));
+
+  // A slow rebuild: readers keep the complete old index until the new one is done.
+  site="v2"; delayMs=400;
+  assert.equal((await admin("/reindex",{ method:"POST" })).status,200);
+  assert.equal((await admin("/reindex",{ method:"POST" })).status,409,"one build at a time");
+  const during=await status();
+  assert.equal(during.build.running,true);
+  assert.deepEqual([during.version,during.chunks],[1,v1.chunks]);
+  assert.ok(await finds("aurora"));
+  assert.ok(!(await finds("borealis")));
+  await until(async()=>(await status()).version===2);
+  assert.ok(await finds("borealis"));
+  assert.ok(!(await finds("aurora")));
+
+  // A failed rebuild (the site is gone) leaves the last good index in place.
+  site="gone"; delayMs=0;
+  const failed=await admin("/reindex?wait=1",{ method:"POST" });
+  assert.equal(failed.status,500);
+  const after=await status();
+  assert.equal(after.version,2);
+  assert.ok(after.chunks>0);
+  assert.match(after.build.lastError.message,/no chunks/);
+  assert.ok(await finds("borealis"));
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSparseIndex, createRetriever, retrievalSettings, rrf, mmr } from "../lib/retrieval.js";
+import { createVectorIndex } from "../lib/vector-index.js";
+import { analyze } from "../lib/analyzers.js";
+
+const SITE="https://example.fi";
+const chunk=(id, path, lang, title, body)=>({ id, url:SITE+path, lang, title, headings:[], chunk:title+"\n"+body });
+
+// Sparse-only retrieval (no query vector) over a small KB.
+function retrieverFor(kb, pages){
+  const settings=retrievalSettings({});
+  const index={ kb, pages, sparse:createSparseIndex(kb,{ ...settings.bm25, analyze }), vectors:createVectorIndex([]) };
+  const retrieve=createRetriever({ ...settings, analyze, embedQuery:async()=>null });
+  return (q, lang)=>retrieve(index,q,lang);
+}
+
+test("an English fallback cites the English page when its translation is not indexed", async()=>{
+  const kb=[chunk("a","/services","en","Services","Drone filming from 900 euros per day.")];
+  const pages=new Map([[SITE+"/services",{ url:SITE+"/services", lang:"en", alternates:{ fi:SITE+"/fi/palvelut" } }]]);
+  const { sources }=await retrieverFor(kb,pages)("drone filming","fi");
+  assert.deepEqual(sources.map(s=>s.url),[SITE+"/services"]);
+});
+
+test("the visitor's language version replaces the English page when it is indexed", async()=>{
+  const kb=[chunk("a","/services","en","Services","Drone filming from 900 euros per day."),chunk("b","/fi/palvelut","fi","Palvelut","Drone-kuvaus alkaen 900 euroa päivältä.")];
+  const alternates={ en:SITE+"/services", fi:SITE+"/fi/palvelut" };
+  const pages=new Map([[SITE+"/services",{ url:SITE+"/services", lang:"en", alternates }],[SITE+"/fi/palvelut",{ url:SITE+"/fi/palvelut", lang:"fi", alternates }]]);
+  const { sources }=await retrieverFor(kb,pages)("drone kuvaus","fi");
+  assert.deepEqual(sources.map(s=>s.url),[SITE+"/fi/palvelut"]);
+});
+
+const order=fused=>[...fused].sort((a,b)=>b[1]-a[1]).map(([id])=>id);
+
+test("RRF favours chunks that both rankings agree on, scaled by each ranking's weight", ()=>{
+  const fused=rrf([{ ids:["a","b","c"] },{ ids:["b","d","c"] }]);
+  assert.deepEqual(order(fused),["b","c","a","d"]);
+  assert.equal(fused.get("a"),1/61);
+  assert.equal(fused.get("b"),1/62+1/61);
+  assert.deepEqual(order(rrf([{ ids:["a","b"] },{ ids:["b","a"], weight:0.5 }])),["a","b"]);
+  assert.deepEqual(order(rrf([{ ids:["a","b"] },{ ids:["b","a"], weight:2 }])),["b","a"]);
+  assert.equal(rrf([{ ids:["a"] }],{ k:0 }).get("a"),1);
+});
+
+test("MMR skips near-duplicates of what it already picked and caps chunks per URL", ()=>{
+  const c=(id, url, topic, score)=>({ d:{ id, url, topic }, score });
+  const candidates=[c("a1","/a","drone",1),c("a2","/b","drone",0.95),c("b1","/c","events",0.8),c("a3","/a","drone",0.7),c("c1","/d","pricing",0.6)];
+  const sim=(x, y)=>x.topic===y.topic? 1 : 0;
+  const ids=opts=>mmr(candidates,{ k:3, sim, ...opts }).map(p=>p.d.id);
+  assert.deepEqual(ids({ lambda:1 }),["a1","a2","b1"],"lambda=1 keeps the relevance order");
+  assert.deepEqual(ids({ lambda:0.7 }),["a1","b1","c1"]);
+  assert.deepEqual(ids({ lambda:1, perUrl:1, k:5 }),["a1","a2","b1","c1"],"a3 shares /a with a1");
+  assert.deepEqual(mmr([],{ k:3, sim }),[]);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { saveSnapshot, loadSnapshot, SNAPSHOT_VERSION } from "../lib/snapshot.js";
+
+async function tmpDir(t){ const dir=await fs.mkdtemp(path.join(os.tmpdir(),"snapshot-")); t.after(()=>fs.rm(dir,{ recursive:true, force:true })); return dir; }
+
+test("a snapshot loads back as it was saved, vectors at Float32 precision", async t=>{
+  const file=path.join(await tmpDir(t),"nested","kb-snapshot.json");
+  const pages=new Map([["https://example.fi/",{ url:"https://example.fi/", etag:"\"abc\"", lastModified:"Sun, 01 Mar 2026 10:00:00 GMT", text:"Home" }]]);
+  const kb=[
+    { id:"a", url:"https://example.fi/", lang:"en", title:"Home", chunk:"Home", vec:[0.1,-0.25,1/3] },
+    { id:"b", url:"https://example.fi/", lang:"en", title:"Home", chunk:"More" }
+  ];
+  const savedAt=await saveSnapshot(file,{ meta:{ embedModel:"text-embedding-3-small", crawledAt:"2026-03-01T10:00:00.000Z" }, kb, pages });
+  await assert.rejects(fs.stat(file+".tmp"),{ code:"ENOENT" });
+
+  const snap=await loadSnapshot(file);
+  assert.deepEqual(snap.meta,{ version:SNAPSHOT_VERSION, savedAt, embedModel:"text-embedding-3-small", crawledAt:"2026-03-01T10:00:00.000Z" });
+  assert.ok(snap.pages instanceof Map);
+  assert.deepEqual(snap.pages,pages);
+  assert.deepEqual(snap.kb[0].vec,Array.from(new Float32Array(kb[0].vec)));
+  assert.deepEqual({ ...snap.kb[0], vec:undefined },{ ...kb[0], vec:undefined });
+  assert.equal(snap.kb[1].vec,undefined);
+});
+
+test("a missing file or an unknown version loads as null", async t=>{
+  const dir=await tmpDir(t), file=path.join(dir,"kb-snapshot.json");
+  assert.equal(await loadSnapshot(file),null);
+  await fs.writeFile(file,JSON.stringify({ version:1, kb:[], pages:[] }));
+  assert.equal(await loadSnapshot(file),null);
+  await fs.writeFile(file,JSON.stringify({ version:SNAPSHOT_VERSION+1, kb:[], pages:[] }));
+  assert.equal(await loadSnapshot(file),null);
+});
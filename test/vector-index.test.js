@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createVectorIndex } from "../lib/vector-index.js";
+
+// Seeded clustered vectors: `n` rows around `clusters` random centres.
+function random(seed){ return ()=>{ seed=(seed*1103515245+12345)%2147483648; return seed/2147483648-0.5; }; }
+function dataset(n, dim, clusters, seed=1){
+  const rand=random(seed), centres=Array.from({ length:clusters },()=>Array.from({ length:dim },rand));
+  return Array.from({ length:n },(_,id)=>({ id, vec:centres[id%clusters].map(x=>x+rand()*0.3) }));
+}
+const cos=(a, b)=>{ let d=0, na=0, nb=0; for(let i=0;i<a.length;i++){ d+=a[i]*b[i]; na+=a[i]*a[i]; nb+=b[i]*b[i]; } return d/Math.sqrt(na*nb); };
+const exact=(kb, q, k)=>kb.map(d=>({ id:d.id, s:cos(d.vec,q) })).sort((a,b)=>b.s-a.s).slice(0,k);
+const overlap=(a, b)=>a.filter(x=>b.some(y=>y.id===x.id)).length;
+
+const kb=dataset(600,32,12), queries=dataset(20,32,12,7).map(d=>d.vec);
+
+test("brute-force search returns the exact cosine top k", ()=>{
+  const index=createVectorIndex(kb);
+  for(const q of queries){
+    const got=index.search(q,{ k:10 }), want=exact(kb,q,10);
+    assert.deepEqual(got.map(r=>r.id),want.map(r=>r.id));
+    got.forEach((r,i)=>assert.ok(Math.abs(r.s-want[i].s)<1e-5));
+  }
+  assert.deepEqual(index.search(queries[0],{ k:5, allow:id=>id%2===0 }).map(r=>r.id%2),[0,0,0,0,0]);
+  assert.deepEqual(index.search([1,2,3]),[],"a query of the wrong dimension finds nothing");
+});
+
+test("int8 quantization keeps scores close and the top results nearly the same at a quarter of the memory", ()=>{
+  const full=createVectorIndex(kb), q8=createVectorIndex(kb,{ quantize:"int8" });
+  for(const q of queries){
+    const got=q8.search(q,{ k:10 }), want=exact(kb,q,10);
+    assert.ok(overlap(got,want)>=9,"top-10 overlap "+overlap(got,want));
+    for(const r of got) assert.ok(Math.abs(r.s-cos(kb[r.id].vec,q))<0.02);
+    assert.ok(Math.abs(q8.cosine(q,3)-cos(kb[3].vec,q))<0.02);
+  }
+  assert.ok(Math.abs(q8.similarity(0,12)-cos(kb[0].vec,kb[12].vec))<0.02);
+  assert.deepEqual(q8.stats(),{ vectors:600, dim:32, quantize:"int8", bytes:600*32+600*4, ann:null });
+  assert.equal(full.stats().bytes,600*32*4);
+});
+
+test("IVF probes the nearest lists; probing all of them is exact", ()=>{
+  const all=createVectorIndex(kb,{ annMin:100, nlist:12, nprobe:12 }), some=createVectorIndex(kb,{ annMin:100, nlist:12, nprobe:3 });
+  assert.deepEqual(some.stats().ann,{ type:"ivf", nlist:12, nprobe:3 });
+  assert.deepEqual(createVectorIndex(kb,{ annMin:100 }).stats().ann,{ type:"ivf", nlist:24, nprobe:3 },"sizes derived from the row count");
+  let found=0;
+  for(const q of queries){
+    const want=exact(kb,q,10);
+    assert.deepEqual(all.search(q,{ k:10 }).map(r=>r.id),want.map(r=>r.id));
+    found+=overlap(some.search(q,{ k:10 }),want);
+  }
+  assert.ok(found/(queries.length*10)>=0.9,"recall@10 "+found/(queries.length*10));
+});
+
+test("rows without a vector or with another dimension are left out", ()=>{
+  const index=createVectorIndex([{ id:1, vec:[1,0,0] },{ id:2, vec:[0,1,0] },{ id:3 },{ id:4, vec:[1,0] }]);
+  assert.equal(index.size,2);
+  assert.equal(index.similarity(1,3),null);
+  assert.equal(index.cosine([1,0,0],4),null);
+  assert.deepEqual(index.search([2,0,0]),[{ id:1, s:1 },{ id:2, s:0 }]);
+});
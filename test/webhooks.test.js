@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createWebhooks, parseEndpoints, sign } from "../lib/webhooks.js";
+
+// A receiver that records each request and answers with whatever respond() returns: [status, headers?].
+async function receiver(t){
+  const hits=[]; let respond=()=>[200];
+  const server=http.createServer((req,res)=>{
+    let body=""; req.on("data",c=>body+=c);
+    req.on("end",()=>{ hits.push({ headers:req.headers, body }); const [status,headers={}]=respond(); res.writeHead(status,headers).end(); });
+  });
+  server.listen(0,"127.0.0.1"); await once(server,"listening"); t.after(()=>server.close());
+  return { url:"http://127.0.0.1:"+server.address().port+"/hook", hits, answer:fn=>{ respond=fn; } };
+}
+async function files(t){
+  const dir=await fs.mkdtemp(path.join(os.tmpdir(),"webhooks-")); t.after(()=>fs.rm(dir,{ recursive:true, force:true }));
+  return { queueFile:path.join(dir,"queue.json"), logFile:path.join(dir,"deliveries.jsonl") };
+}
+async function until(check, ms=5000){
+  for(const t0=Date.now(); !(await check()); await new Promise(r=>setTimeout(r,20))) if(Date.now()-t0>ms) throw new Error("timed out");
+}
+const readQueue=file=>fs.readFile(file,"utf8").then(JSON.parse,()=>[]);   // [] until the first write
+
+test("deliveries are signed with HMAC-SHA256 over timestamp.body", async t=>{
+  const hook=await receiver(t), { endpoints }=parseEndpoints([{ url:hook.url, secret:"s3cret", events:["lead.created"] }]);
+  const webhooks=createWebhooks({ endpoints, ...await files(t) });
+  const event=webhooks.emit("lead.created",{ name:"Anna" });
+  webhooks.emit("chat.unanswered",{ question:"?" });
+  await until(()=>hook.hits.length && !webhooks.pending);
+  assert.equal(hook.hits.length,1,"only subscribed events are sent");
+  const { headers, body }=hook.hits[0];
+  assert.deepEqual(JSON.parse(body),{ id:event.id, type:"lead.created", createdAt:event.createdAt, data:{ name:"Anna" } });
+  // What a receiver does: recompute the HMAC from its copy of the secret and compare in constant time.
+  const expected=Buffer.from("sha256="+createHmac("sha256","s3cret").update(headers["x-soderbot-timestamp"]+"."+body).digest("hex"));
+  assert.ok(timingSafeEqual(Buffer.from(headers["x-soderbot-signature"]),expected));
+  assert.notEqual(sign("other",headers["x-soderbot-timestamp"],body),headers["x-soderbot-signature"]);
+  assert.equal(headers["x-soderbot-event"],"lead.created");
+});
+
+test("failures back off exponentially, Retry-After is honoured, other 4xx give up", async t=>{
+  const hook=await receiver(t), f=await files(t), { endpoints }=parseEndpoints([{ url:hook.url }]);
+  const webhooks=createWebhooks({ endpoints, ...f, tickMs:50 });
+  await webhooks.start();
+  hook.answer(()=>[500]);
+  const t0=Date.now(); webhooks.emit("lead.created",{});
+  await until(async()=>(await readQueue(f.queueFile))[0]?.attempts===1);
+  const [first]=webhooks.status().queue, delay=Date.parse(first.nextAt)-t0;
+  assert.ok(delay>=15e3 && delay<=31e3,"first retry in 15–30 s, got "+delay);
+
+  hook.answer(()=>hook.hits.length<3? [429,{ "Retry-After":"1" }] : [200]);
+  webhooks.emit("booking.created",{});
+  await until(()=>hook.hits.length>=3,8000);
+  const retried=hook.hits.filter(h=>h.headers["x-soderbot-event"]==="booking.created");
+  assert.equal(retried.length,2,"retried once, after the Retry-After second");
+  assert.equal(webhooks.status().queue.length,1,"the 500 delivery still waits for its backoff");
+
+  hook.answer(()=>[404]);
+  webhooks.emit("quote.submitted",{});
+  await until(()=>hook.hits.length>=4);
+  await until(()=>webhooks.pending===1);
+  const log=(await fs.readFile(f.logFile,"utf8")).trim().split("\n").map(l=>JSON.parse(l));
+  assert.deepEqual(log.map(l=>[l.type,l.status,l.ok,!!l.dead]),[["lead.created",500,false,false],["booking.created",429,false,false],["booking.created",200,true,false],["quote.submitted",404,false,true]]);
+});
+
+test("the queue survives a restart; deliveries for a changed endpoint are dropped", async t=>{
+  const hook=await receiver(t), f=await files(t), config=[{ url:hook.url, secret:"a" }];
+  hook.answer(()=>[503]);
+  const before=createWebhooks({ endpoints:parseEndpoints(config).endpoints, ...f });
+  before.emit("lead.created",{ name:"Anna" });
+  await until(async()=>(await readQueue(f.queueFile))[0]?.attempts===1);
+
+  const after=createWebhooks({ endpoints:parseEndpoints(config).endpoints, ...f });
+  await after.start();
+  assert.equal(after.pending,1);
+  assert.deepEqual(after.status().queue.map(q=>[q.type,q.attempts]),[["lead.created",1]]);
+
+  const rotated=createWebhooks({ endpoints:parseEndpoints([{ url:hook.url, secret:"b" }]).endpoints, ...f });
+  await rotated.start();
+  assert.equal(rotated.pending,0);
+  assert.deepEqual(await readQueue(f.queueFile),[]);
+});